@@ -14,34 +14,76 @@ window.appState = {
     themeItems: [],
     filteredThemeItems: [],
     selectedPaletteColor: null,
-    themeFileDoc: null,
-    themeFileJson: null,
+    themeSource: null,
+    themeFormat: null,
+    themeDialect: null,
     originalThemeFileName: 'Theme',
+    originalThemeFileExt: '',
     paletteSortMode: 'H',
+    dependentsOf: null,
+    modifiedOnly: false,
+    conversionTarget: 'css',
+    conversionRows: [],
+    history: [],
+    historyIndex: -1,
+    sessionId: null,
+    sessionPaletteBaseline: null,
+    themeFileContent: null,
+    themeFileFullName: '',
     themeBgColor: localStorage.getItem('themeEditorBg') || ''
 };
 const paletteReadId = { value: 0 };
 const themeReadId = { value: 0 };
+const templateReadId = { value: 0 };
 
 // --- Core Logic Functions ---
 
+// Parts of a parsed color that describe how it was written; a plain value typed or
+// dropped onto an item takes these over so the item keeps its notation.
+const notationKeys = [
+    'inputFormat',
+    'originalPrefix',
+    'originalUsesCommas',
+    'originalUpperCase',
+    'originalLightnessPercent',
+    'originalAlphaPercent',
+    'originalColorSpace',
+    'originalChromaPercent',
+    'originalHueUnit',
+    'originalDecimals',
+    'originalSigned',
+    'originalScale',
+    'originalAlphaScale',
+    'originalComponentCount',
+    'originalSeparator',
+    'originalPadding',
+    'originalDigits'
+];
+
 function deleteColorFromPalette(hexToDelete) {
     appState.palette = appState.palette.filter((p) => p.hex !== hexToDelete);
     if (appState.selectedPaletteColor && appState.selectedPaletteColor.hex === hexToDelete) {
         appState.selectedPaletteColor = null;
     }
     renderPalette();
+    commitHistory(`Remove #${hexToDelete} from palette`);
 }
 
 function updateItemColor(item, newColorString) {
-    const newColorInfo = parseColorString(newColorString);
+    const newColorInfo = parseColorString(newColorString, item.colorInfo?.inputFormat);
 
     if (!newColorInfo) return false;
 
+    if (item.reference) {
+        const message = `"${item.name}" points to ${item.reference.raw}. Break the link and store a plain color instead?`;
+        if (!confirm(message)) return false;
+        item.reference = null;
+    }
+
     if (!newColorString.trim().includes('(')) {
-        newColorInfo.inputFormat = item.colorInfo.inputFormat;
-        newColorInfo.originalPrefix = item.colorInfo.originalPrefix;
-        newColorInfo.originalUsesCommas = item.colorInfo.originalUsesCommas;
+        notationKeys.forEach((key) => {
+            newColorInfo[key] = item.colorInfo[key];
+        });
     }
 
     const formattedValue = formatColorForOutput(newColorInfo);
@@ -51,30 +93,142 @@ function updateItemColor(item, newColorString) {
     item.currentColorHex = newColorInfo.hex;
 
     syncItemDom(item);
+    syncReferencingItems(item);
     return true;
 }
 
-function syncItemDom(item) {
-    if (item.el) {
-        const value = item.colorInfo.originalString;
-        if (item.attributeName) {
-            item.el.setAttribute(item.attributeName, value);
-        } else {
-            item.el.textContent = value;
-        }
+function restoreItemColor(item, colorInfo) {
+    item.colorInfo = colorInfo;
+    item.currentColorHex = colorInfo.hex;
+    syncItemDom(item);
+    syncReferencingItems(item);
+}
+
+// Maps the color an item resolves to, so referencing items follow their target.
+function mapItemToSrgb(item, method) {
+    let target = item;
+    const seen = new Set();
+    while (target?.reference && !seen.has(target)) {
+        seen.add(target);
+        target = appState.themeItems.find((it) => it.name === target.reference.target);
     }
+    if (!target?.colorInfo?.rawRgb) return false;
+    return updateItemColor(target, toSrgbColor(target.colorInfo, method).toHex());
+}
+
+/**
+ * True when the value written for `item` differs from the one it was imported with.
+ */
+function isItemModified(item) {
+    const { original } = item;
+    if (!original) return false;
+    if (item.reference || original.reference) return item.reference?.raw !== original.reference?.raw;
+    return item.colorInfo.originalString !== original.colorInfo.originalString;
+}
+
+function getItemOriginalValue(item) {
+    return item.original.reference ? item.original.reference.raw : item.original.colorInfo.originalString;
+}
+
+// A restored reference resolves against its target as it is now, which may itself be edited.
+function revertItem(item) {
+    const { colorInfo, currentColorHex, reference } = item.original;
+    const target = reference && appState.themeItems.find((it) => it.name === reference.target);
+    item.reference = reference;
+    item.colorInfo = target ? { ...target.colorInfo } : colorInfo;
+    item.currentColorHex = target ? target.currentColorHex : currentColorHex;
+    syncItemDom(item);
+    syncReferencingItems(item);
+}
+
+function revertModifiedItems() {
+    const modified = appState.themeItems.filter(isItemModified);
+    if (modified.length === 0) return;
+    if (!confirm(`Revert ${modified.length} modified item(s) to their imported values?`)) return;
+    modified.forEach(revertItem);
+    commitHistory(`Revert ${modified.length} item${modified.length === 1 ? '' : 's'}`);
+    filterThemeItems();
+}
 
+function syncReferencingItems(item, seen = new Set([item])) {
+    appState.themeItems.forEach((other) => {
+        if (other.reference?.target !== item.name || seen.has(other)) return;
+        seen.add(other);
+        other.colorInfo = { ...item.colorInfo };
+        other.currentColorHex = item.currentColorHex;
+        syncItemDom(other);
+        syncReferencingItems(other, seen);
+    });
+}
+
+function syncItemDom(item) {
     const row = document.getElementById(item.id);
     if (row) updateThemeItemRow(item, row);
 }
 
-function populatePaletteFromTheme() {
+function buildReferenceIndex() {
+    const index = new Map();
+    appState.themeItems.forEach((item) => {
+        if (!item.reference) return;
+        if (!index.has(item.reference.target)) index.set(item.reference.target, []);
+        index.get(item.reference.target).push(item);
+    });
+    return index;
+}
+
+function getReferenceDependents(item) {
+    const index = buildReferenceIndex();
+    const dependents = [];
+    const seen = new Set([item]);
+    const queue = [item];
+    while (queue.length) {
+        const current = queue.shift();
+        (index.get(current.name) || []).forEach((dependent) => {
+            if (seen.has(dependent)) return;
+            seen.add(dependent);
+            dependents.push(dependent);
+            queue.push(dependent);
+        });
+    }
+    return dependents;
+}
+
+function showDependents(item) {
+    appState.dependentsOf = item;
+    filterThemeItems();
+}
+
+function revealThemeItem(name) {
+    const target = appState.themeItems.find((it) => it.name === name);
+    if (!target) return;
+    if (!appState.filteredThemeItems.includes(target)) {
+        appState.dependentsOf = null;
+        const filterInput = document.getElementById('filterInput');
+        if (filterInput) filterInput.value = '';
+        filterThemeItems();
+    }
+    const row = document.getElementById(target.id);
+    if (row) {
+        row.scrollIntoView({ block: 'center' });
+        row.classList.remove('flash');
+        void row.offsetWidth;
+        row.classList.add('flash');
+    }
+}
+
+async function populatePaletteFromTheme() {
+    const colorItems = appState.themeItems.filter((item) => item.isColor && item.currentColorHex);
+    const method = await chooseGamutMapping(colorItems, 'The palette only holds sRGB colors.');
     const seen = new Set();
     const colors = [];
-    appState.themeItems.forEach((item) => {
-        if (item.isColor && item.currentColorHex && !seen.has(item.currentColorHex)) {
-            seen.add(item.currentColorHex);
-            colors.push({ name: item.name, hex: item.currentColorHex });
+    colorItems.forEach((item) => {
+        if (item.colorInfo.rawRgb && !method) return;
+        const hex = item.colorInfo.rawRgb
+            ? normalizeHex(toSrgbColor(item.colorInfo, method).toHex())
+            : item.currentColorHex;
+        if (!seen.has(hex)) {
+            seen.add(hex);
+            colors.push({ name: item.name, hex });
         }
     });
     appState.palette = colors;
@@ -91,6 +245,7 @@ function clearPalette() {
     appState.selectedPaletteColor = null;
     renderPalette();
     updateButtonStates();
+    commitHistory('Clear palette');
 }
 
 function filterThemeItems() {
@@ -101,18 +256,51 @@ function filterThemeItems() {
     }
     const filterText = filterInput.value.trim().toLowerCase();
 
-    if (filterText) {
+    if (appState.dependentsOf) {
+        appState.filteredThemeItems = [appState.dependentsOf, ...getReferenceDependents(appState.dependentsOf)];
+    } else if (filterText) {
         appState.filteredThemeItems = appState.themeItems.filter(
-            (item) => item.isColor && item.name.toLowerCase().includes(filterText)
+            (item) =>
+                item.isColor &&
+                (item.name.toLowerCase().includes(filterText) || item.group?.toLowerCase().includes(filterText))
         );
     } else {
         appState.filteredThemeItems = appState.themeItems.filter((item) => item.isColor);
     }
-    appState.filteredThemeItems.sort((a, b) => a.name.localeCompare(b.name));
+    if (appState.modifiedOnly && !appState.dependentsOf) {
+        appState.filteredThemeItems = appState.filteredThemeItems.filter(isItemModified);
+    }
+    appState.filteredThemeItems.sort(
+        (a, b) => (a.group || '').localeCompare(b.group || '') || a.name.localeCompare(b.name)
+    );
     renderThemeItems();
+    updateDependentsBanner();
 }
 
-function readFileWithTracker(file, readId, onContent) {
+function loadThemeContent(content, fileName) {
+    const themeFileNameEl = document.getElementById('themeFileName');
+    if (themeFileNameEl) themeFileNameEl.textContent = fileName;
+    const nameParts = fileName.split('.');
+    if (nameParts.length > 1) nameParts.pop();
+    appState.originalThemeFileName = nameParts.join('.') || fileName;
+    appState.originalThemeFileExt = fileName.slice(appState.originalThemeFileName.length);
+    appState.themeFileContent = content;
+    appState.themeFileFullName = fileName;
+
+    const result = parseGenericThemeFile(content, fileName);
+    appState.themeSource = result.source ?? null;
+    appState.themeFormat = result.format || null;
+    appState.themeDialect = result.dialect || appState.themeFormat;
+    appState.themeItems = result.items;
+    appState.themeItems.forEach((item) => {
+        item.original = { colorInfo: item.colorInfo, currentColorHex: item.currentColorHex, reference: item.reference };
+    });
+    appState.dependentsOf = null;
+    appState.themeItems.sort((a, b) => a.name.localeCompare(b.name));
+    filterThemeItems();
+}
+
+function readFileWithTracker(file, readId, onContent, asBinary = false) {
     readId.value++;
     const thisReadId = readId.value;
     const reader = new FileReader();
@@ -133,7 +321,11 @@ function readFileWithTracker(file, readId, onContent) {
         alert(`Error reading file: ${reader.error ? reader.error.message : 'Unknown error'}`);
     };
     try {
-        reader.readAsText(file);
+        if (asBinary) {
+            reader.readAsArrayBuffer(file);
+        } else {
+            reader.readAsText(file);
+        }
     } catch (readError) {
         alert(`Could not start reading file: ${readError.message}`);
     }
@@ -152,6 +344,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const bulkAssignBtnElement = document.getElementById('bulkAssignBtn');
     const exportBtnElement = document.getElementById('exportBtn');
     const clearPaletteBtnElement = document.getElementById('clearPaletteBtn');
+    const exportPaletteBtnElement = document.getElementById('exportPaletteBtn');
+    const paletteExportFormatElement = document.getElementById('paletteExportFormat');
 
     if (themeToggleBtn) {
         themeToggleBtn.onclick = () => {
@@ -177,8 +371,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
             paletteFileNameEl.textContent = file.name;
-            readFileWithTracker(file, paletteReadId, (content) => {
-                const loaded = parsePalette(content);
+            const addLoadedColors = (loaded) => {
                 const existingHex = new Set(appState.palette.map((c) => c.hex));
                 for (const c of loaded) {
                     if (!existingHex.has(c.hex)) {
@@ -188,7 +381,27 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
                 renderPalette();
                 updateButtonStates();
-            });
+                commitHistory(`Import ${file.name}`);
+            };
+            if (isBinaryPaletteFile(file.name)) {
+                readFileWithTracker(
+                    file,
+                    paletteReadId,
+                    (buffer) => {
+                        const thisReadId = paletteReadId.value;
+                        parseBinaryPalette(buffer, file.name)
+                            .then((loaded) => {
+                                if (thisReadId === paletteReadId.value) addLoadedColors(loaded);
+                            })
+                            .catch((error) => alert(`Error processing file: ${error.message}`));
+                    },
+                    true
+                );
+            } else {
+                readFileWithTracker(file, paletteReadId, (content) =>
+                    addLoadedColors(parsePalette(content, file.name))
+                );
+            }
         };
     }
 
@@ -203,23 +416,29 @@ document.addEventListener('DOMContentLoaded', () => {
                 themeFileNameEl.textContent = 'No theme file selected';
                 appState.originalThemeFileName = 'Theme';
                 appState.themeItems = [];
-                appState.themeFileDoc = null;
-                appState.themeFileJson = null;
+                appState.themeSource = null;
+                appState.themeFormat = null;
+                appState.themeDialect = null;
+                appState.themeFileContent = null;
+                appState.themeFileFullName = '';
+                appState.dependentsOf = null;
                 filterThemeItems();
+                appState.sessionId = null;
+                resetHistory('Closed theme');
                 return;
             }
-            themeFileNameEl.textContent = file.name;
-            const nameParts = file.name.split('.');
-            if (nameParts.length > 1) nameParts.pop();
-            appState.originalThemeFileName = nameParts.join('.') || file.name;
             readFileWithTracker(file, themeReadId, (content) => {
-                const result = parseGenericThemeFile(content);
-                appState.themeFileDoc = result.doc;
-                appState.themeFileJson = result.data || null;
-                appState.themeItems = result.items;
-                appState.themeItems.sort((a, b) => a.name.localeCompare(b.name));
-                populatePaletteFromTheme();
-                filterThemeItems();
+                loadThemeContent(content, file.name);
+                startSession();
+                // History is reset before the gamut dialog so undo cannot reach the previous theme's items,
+                // then again once the palette is filled so the first entry includes it.
+                resetHistory(`Opened ${file.name}`);
+                populatePaletteFromTheme()
+                    .then(() => {
+                        resetHistory(`Opened ${file.name}`);
+                        scheduleSessionSave();
+                    })
+                    .catch((error) => alert(`Could not fill the palette from the theme: ${error.message}`));
             });
         };
     }
@@ -228,32 +447,118 @@ document.addEventListener('DOMContentLoaded', () => {
         let filterTimer;
         filterInputElement.oninput = () => {
             clearTimeout(filterTimer);
+            appState.dependentsOf = null;
             filterTimer = setTimeout(filterThemeItems, 150);
         };
     }
 
+    const modifiedOnlyToggle = document.getElementById('modifiedOnlyToggle');
+    if (modifiedOnlyToggle) {
+        modifiedOnlyToggle.onchange = () => {
+            appState.modifiedOnly = modifiedOnlyToggle.checked;
+            appState.dependentsOf = null;
+            filterThemeItems();
+        };
+    }
+
+    const exportDownloadBtn = document.getElementById('exportDownloadBtn');
+    if (exportDownloadBtn) exportDownloadBtn.onclick = confirmExportPreview;
+
+    const revertAllBtn = document.getElementById('revertAllBtn');
+    if (revertAllBtn) revertAllBtn.onclick = revertModifiedItems;
+
+    const clearDependentsBtn = document.getElementById('clearDependentsBtn');
+    if (clearDependentsBtn) {
+        clearDependentsBtn.onclick = () => {
+            appState.dependentsOf = null;
+            filterThemeItems();
+        };
+    }
+
     if (bulkAssignBtnElement) {
         bulkAssignBtnElement.onclick = () => {
             if (!appState.selectedPaletteColor?.hex || appState.filteredThemeItems.length === 0) {
                 return;
             }
             const newColorStr = `#${appState.selectedPaletteColor.hex}`;
+            let assigned = 0;
             appState.filteredThemeItems.forEach((item) => {
-                if (item.isColor) {
-                    updateItemColor(item, newColorStr);
+                if (item.isColor && !item.reference && updateItemColor(item, newColorStr)) {
+                    assigned++;
                 }
             });
+            commitHistory(`Bulk assign ${newColorStr} to ${assigned} item${assigned === 1 ? '' : 's'}`);
         };
     }
 
     if (exportBtnElement) {
-        exportBtnElement.onclick = exportTheme;
+        exportBtnElement.onclick = openExportPreview;
     }
 
     if (clearPaletteBtnElement) {
         clearPaletteBtnElement.onclick = clearPalette;
     }
 
+    if (exportPaletteBtnElement && paletteExportFormatElement) {
+        exportPaletteBtnElement.onclick = () => exportPalette(paletteExportFormatElement.value);
+    }
+
+    const templateExportBtnElement = document.getElementById('templateExportBtn');
+    const templateFileElement = document.getElementById('templateFile');
+    if (templateExportBtnElement && templateFileElement) {
+        templateExportBtnElement.onclick = () => {
+            templateFileElement.value = null;
+            templateFileElement.click();
+        };
+        templateFileElement.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            readFileWithTracker(file, templateReadId, async (content) => {
+                const method = await chooseGamutMapping(appState.themeItems, 'Templates are filled with sRGB colors.');
+                if (method) exportTemplate(content, file.name, method);
+            });
+        };
+    }
+
+    const convertBtnElement = document.getElementById('convertBtn');
+    const convertDialogElement = document.getElementById('convertDialog');
+    const convertTargetElement = document.getElementById('convertTarget');
+    if (convertBtnElement && convertDialogElement && convertTargetElement) {
+        Object.entries(conversionTargets).forEach(([id, target]) => {
+            convertTargetElement.appendChild(new Option(target.label, id, false, id === appState.conversionTarget));
+        });
+        const loadConversionRows = () => {
+            appState.conversionTarget = convertTargetElement.value;
+            appState.conversionRows = getDefaultConversionRows(appState.conversionTarget);
+            renderConversionRows();
+        };
+        convertTargetElement.onchange = loadConversionRows;
+        convertBtnElement.onclick = () => {
+            loadConversionRows();
+            convertDialogElement.showModal();
+        };
+        document.getElementById('saveMappingBtn').onclick = () => {
+            const mapping = {};
+            appState.conversionRows.forEach(({ key, source }) => {
+                if (key) mapping[key] = source;
+            });
+            saveConversionMapping(appState.conversionTarget, mapping);
+        };
+        document.getElementById('convertExportBtn').onclick = async () => {
+            const sources = new Set(appState.conversionRows.map((row) => row.source));
+            const method = await chooseGamutMapping(
+                getConvertibleItems().filter((item) => sources.has(item.name)),
+                'The converted theme only holds sRGB colors.'
+            );
+            if (!method) return;
+            const unmapped = exportConvertedTheme(appState.conversionTarget, appState.conversionRows, method);
+            convertDialogElement.close();
+            if (unmapped.length > 0) {
+                alert(`Exported without a color for ${unmapped.length} target key(s):\n${unmapped.join('\n')}`);
+            }
+        };
+    }
+
     document.querySelectorAll('.sort-btn').forEach((btn) => {
         if (btn.dataset.sort === appState.paletteSortMode) btn.classList.add('active');
         btn.onclick = () => {
@@ -263,23 +568,54 @@ document.addEventListener('DOMContentLoaded', () => {
             btn.classList.add('active');
             appState.paletteSortMode = btn.dataset.sort;
             renderPalette();
+            scheduleSessionSave();
         };
     });
 
+    const recentSessionsBtnElement = document.getElementById('recentSessionsBtn');
+    if (recentSessionsBtnElement) recentSessionsBtnElement.onclick = openRecentSessions;
+
+    const undoBtnElement = document.getElementById('undoBtn');
+    const redoBtnElement = document.getElementById('redoBtn');
+    if (undoBtnElement) undoBtnElement.onclick = undo;
+    if (redoBtnElement) redoBtnElement.onclick = redo;
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+        // Text fields keep their own undo.
+        if (e.target.matches?.('input[type="text"], textarea')) return;
+        e.preventDefault();
+        if (e.shiftKey) {
+            redo();
+        } else {
+            undo();
+        }
+    });
+
     // Initial Setup Calls
     const initialTheme = localStorage.getItem('themeEditorTheme') || 'dark';
     applyTheme(initialTheme);
     renderPalette();
     renderThemeItems();
+    resetHistory('Start');
+    offerSessionRestore();
 
     const versionEl = document.getElementById('appVersion');
     if (versionEl) versionEl.textContent = `v${APP_VERSION}`;
 });
 
 window.updateItemColor = updateItemColor;
+window.mapItemToSrgb = mapItemToSrgb;
+window.restoreItemColor = restoreItemColor;
 window.deleteColorFromPalette = deleteColorFromPalette;
 window.filterThemeItems = filterThemeItems;
+window.loadThemeContent = loadThemeContent;
 window.clearPalette = clearPalette;
+window.buildReferenceIndex = buildReferenceIndex;
+window.showDependents = showDependents;
+window.isItemModified = isItemModified;
+window.getItemOriginalValue = getItemOriginalValue;
+window.revertItem = revertItem;
+window.revealThemeItem = revealThemeItem;
 window.setSelectedPaletteColor = (c) => {
     appState.selectedPaletteColor = c;
 };
@@ -17,7 +17,411 @@ function hexToShort(hex) {
     return null;
 }
 
+// CSS named colors (CSS Color 4), name → hex without '#'.
+const cssNamedColors = Object.fromEntries(
+    `aliceblue:f0f8ff antiquewhite:faebd7 aqua:00ffff aquamarine:7fffd4 azure:f0ffff beige:f5f5dc bisque:ffe4c4
+    black:000000 blanchedalmond:ffebcd blue:0000ff blueviolet:8a2be2 brown:a52a2a burlywood:deb887 cadetblue:5f9ea0
+    chartreuse:7fff00 chocolate:d2691e coral:ff7f50 cornflowerblue:6495ed cornsilk:fff8dc crimson:dc143c cyan:00ffff
+    darkblue:00008b darkcyan:008b8b darkgoldenrod:b8860b darkgray:a9a9a9 darkgreen:006400 darkgrey:a9a9a9
+    darkkhaki:bdb76b darkmagenta:8b008b darkolivegreen:556b2f darkorange:ff8c00 darkorchid:9932cc darkred:8b0000
+    darksalmon:e9967a darkseagreen:8fbc8f darkslateblue:483d8b darkslategray:2f4f4f darkslategrey:2f4f4f
+    darkturquoise:00ced1 darkviolet:9400d3 deeppink:ff1493 deepskyblue:00bfff dimgray:696969 dimgrey:696969
+    dodgerblue:1e90ff firebrick:b22222 floralwhite:fffaf0 forestgreen:228b22 fuchsia:ff00ff gainsboro:dcdcdc
+    ghostwhite:f8f8ff gold:ffd700 goldenrod:daa520 gray:808080 green:008000 greenyellow:adff2f grey:808080
+    honeydew:f0fff0 hotpink:ff69b4 indianred:cd5c5c indigo:4b0082 ivory:fffff0 khaki:f0e68c lavender:e6e6fa
+    lavenderblush:fff0f5 lawngreen:7cfc00 lemonchiffon:fffacd lightblue:add8e6 lightcoral:f08080 lightcyan:e0ffff
+    lightgoldenrodyellow:fafad2 lightgray:d3d3d3 lightgreen:90ee90 lightgrey:d3d3d3 lightpink:ffb6c1
+    lightsalmon:ffa07a lightseagreen:20b2aa lightskyblue:87cefa lightslategray:778899 lightslategrey:778899
+    lightsteelblue:b0c4de lightyellow:ffffe0 lime:00ff00 limegreen:32cd32 linen:faf0e6 magenta:ff00ff maroon:800000
+    mediumaquamarine:66cdaa mediumblue:0000cd mediumorchid:ba55d3 mediumpurple:9370db mediumseagreen:3cb371
+    mediumslateblue:7b68ee mediumspringgreen:00fa9a mediumturquoise:48d1cc mediumvioletred:c71585
+    midnightblue:191970 mintcream:f5fffa mistyrose:ffe4e1 moccasin:ffe4b5 navajowhite:ffdead navy:000080
+    oldlace:fdf5e6 olive:808000 olivedrab:6b8e23 orange:ffa500 orangered:ff4500 orchid:da70d6 palegoldenrod:eee8aa
+    palegreen:98fb98 paleturquoise:afeeee palevioletred:db7093 papayawhip:ffefd5 peachpuff:ffdab9 peru:cd853f
+    pink:ffc0cb plum:dda0dd powderblue:b0e0e6 purple:800080 rebeccapurple:663399 red:ff0000 rosybrown:bc8f8f
+    royalblue:4169e1 saddlebrown:8b4513 salmon:fa8072 sandybrown:f4a460 seagreen:2e8b57 seashell:fff5ee
+    sienna:a0522d silver:c0c0c0 skyblue:87ceeb slateblue:6a5acd slategray:708090 slategrey:708090 snow:fffafa
+    springgreen:00ff7f steelblue:4682b4 tan:d2b48c teal:008080 thistle:d8bfd8 tomato:ff6347 turquoise:40e0d0
+    violet:ee82ee wheat:f5deb3 white:ffffff whitesmoke:f5f5f5 yellow:ffff00 yellowgreen:9acd32`
+        .split(/\s+/)
+        .map((entry) => entry.split(':'))
+);
+
+function formatNumber(value, decimals) {
+    const rounded = parseFloat(value.toFixed(decimals));
+    return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+// Reads `name(c1 c2 c3 / alpha)` (commas tolerated) into raw component tokens.
+function readColorFunction(str) {
+    const match = /^([a-z][\w-]*)\(\s*(.*?)\s*\)$/i.exec(str);
+    if (!match) return null;
+    const [body, alpha] = match[2].split('/');
+    const args = body.trim().split(/\s*,\s*|\s+/);
+    return { name: match[1], args, alpha: alpha?.trim() ?? null, usesCommas: match[2].includes(',') };
+}
+
+function readComponent(token, percentScale) {
+    if (token === undefined) return NaN;
+    if (token.toLowerCase() === 'none') return 0;
+    const value = parseFloat(token);
+    if (!/^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?%?$/i.test(token)) return NaN;
+    return token.endsWith('%') ? (value / 100) * percentScale : value;
+}
+
+function readHue(token) {
+    const match = /^([-+]?(?:\d+\.?\d*|\.\d+))(deg|rad|grad|turn)?$/i.exec(token || '');
+    if (token?.toLowerCase() === 'none') return 0;
+    if (!match) return NaN;
+    const value = parseFloat(match[1]);
+    const unit = (match[2] || 'deg').toLowerCase();
+    return { deg: value, rad: (value * 180) / Math.PI, grad: value * 0.9, turn: value * 360 }[unit];
+}
+
+function readAlphaComponent(token) {
+    return token === null ? 1 : Math.min(Math.max(readComponent(token, 1), 0), 1);
+}
+
+// --- Color spaces ---
+// Matrices and transfer functions from the CSS Color 4 sample code. Channels are
+// kept unclamped so colors outside sRGB survive the round trip.
+
+function multiplyMatrix(m, [a, b, c]) {
+    return m.map((row) => row[0] * a + row[1] * b + row[2] * c);
+}
+
+const d50ToD65 = [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+];
+const d65ToD50 = [
+    [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+    [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+    [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+];
+const srgbToXyz = [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+];
+const xyzToSrgb = [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+
+const signed = (fn) => (v) => Math.sign(v) * fn(Math.abs(v));
+const srgbTransfer = {
+    toLinear: signed((v) => (v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4)),
+    fromLinear: signed((v) => (v > 0.0031308 ? 1.055 * v ** (1 / 2.4) - 0.055 : 12.92 * v))
+};
+const linearTransfer = { toLinear: (v) => v, fromLinear: (v) => v };
+const rec2020Alpha = 1.09929682680944;
+const rec2020Beta = 0.018053968510807;
+
+const rgbColorSpaces = {
+    srgb: { ...srgbTransfer, toXyz: srgbToXyz, fromXyz: xyzToSrgb, white: 'D65' },
+    'srgb-linear': { ...linearTransfer, toXyz: srgbToXyz, fromXyz: xyzToSrgb, white: 'D65' },
+    'display-p3': {
+        ...srgbTransfer,
+        toXyz: [
+            [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+            [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+            [0, 0.04511338185890264, 1.043944368900976]
+        ],
+        fromXyz: [
+            [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+            [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+            [0.03584583024378447, -0.07617238926804182, 0.9568845240076872]
+        ],
+        white: 'D65'
+    },
+    'a98-rgb': {
+        toLinear: signed((v) => v ** (563 / 256)),
+        fromLinear: signed((v) => v ** (256 / 563)),
+        toXyz: [
+            [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+            [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+            [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+        ],
+        fromXyz: [
+            [2.0415879038107465, -0.5650069742788596, -0.34473135077832956],
+            [-0.9692436362808795, 1.8759675015077202, 0.04155505740717557],
+            [0.013444280632031142, -0.11836239223101838, 1.0151749943912054]
+        ],
+        white: 'D65'
+    },
+    'prophoto-rgb': {
+        toLinear: signed((v) => (v <= 16 / 512 ? v / 16 : v ** 1.8)),
+        fromLinear: signed((v) => (v >= 1 / 512 ? v ** (1 / 1.8) : 16 * v)),
+        toXyz: [
+            [0.7977666449006423, 0.13518129740053308, 0.0313477341283922],
+            [0.2880748288194013, 0.711835234241873, 0.00008993693872564],
+            [0, 0, 0.8251046025104602]
+        ],
+        fromXyz: [
+            [1.3457868816471583, -0.25557208737979464, -0.05110186497554526],
+            [-0.5446307051249019, 1.5082477428451468, 0.02052744743642139],
+            [0, 0, 1.2119675456389452]
+        ],
+        white: 'D50'
+    },
+    rec2020: {
+        toLinear: signed((v) =>
+            v < rec2020Beta * 4.5 ? v / 4.5 : ((v + rec2020Alpha - 1) / rec2020Alpha) ** (1 / 0.45)
+        ),
+        fromLinear: signed((v) => (v > rec2020Beta ? rec2020Alpha * v ** 0.45 - (rec2020Alpha - 1) : 4.5 * v)),
+        toXyz: [
+            [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+            [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+            [0, 0.028072693049087428, 1.060985057710791]
+        ],
+        fromXyz: [
+            [1.716651187971268, -0.355670783776392, -0.25336628137366],
+            [-0.666684351832489, 1.616481236634939, 0.0157685458139111],
+            [0.017639857445311, -0.042770613257809, 0.942103121235474]
+        ],
+        white: 'D65'
+    },
+    xyz: { ...linearTransfer, white: 'D65' },
+    'xyz-d65': { ...linearTransfer, white: 'D65' },
+    'xyz-d50': { ...linearTransfer, white: 'D50' }
+};
+
+function xyzToRgb(xyz, white) {
+    const xyz65 = white === 'D50' ? multiplyMatrix(d50ToD65, xyz) : xyz;
+    const [r, g, b] = multiplyMatrix(xyzToSrgb, xyz65).map((v) => srgbTransfer.fromLinear(v) * 255);
+    return { r, g, b };
+}
+
+function rgbToXyz({ r, g, b }, white) {
+    const xyz65 = multiplyMatrix(
+        srgbToXyz,
+        [r, g, b].map((v) => srgbTransfer.toLinear(v / 255))
+    );
+    return white === 'D50' ? multiplyMatrix(d65ToD50, xyz65) : xyz65;
+}
+
+function colorSpaceToRgb(spaceName, coords) {
+    const space = rgbColorSpaces[spaceName];
+    const linear = coords.map(space.toLinear);
+    return xyzToRgb(space.toXyz ? multiplyMatrix(space.toXyz, linear) : linear, space.white);
+}
+
+function rgbToColorSpace(spaceName, rgb) {
+    const space = rgbColorSpaces[spaceName];
+    const xyz = rgbToXyz(rgb, space.white);
+    return (space.fromXyz ? multiplyMatrix(space.fromXyz, xyz) : xyz).map(space.fromLinear);
+}
+
+const d50White = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+const labEpsilon = 216 / 24389;
+const labKappa = 24389 / 27;
+
+function rgbToLab(rgb) {
+    const [fx, fy, fz] = rgbToXyz(rgb, 'D50').map((v, i) => {
+        const ratio = v / d50White[i];
+        return ratio > labEpsilon ? Math.cbrt(ratio) : (labKappa * ratio + 16) / 116;
+    });
+    return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+function labToLch({ l, a, b }) {
+    const h = (Math.atan2(b, a) * 180) / Math.PI;
+    return { l, c: Math.hypot(a, b), h: h < 0 ? h + 360 : h };
+}
+
+function lchToLab(l, c, h) {
+    const radians = (h * Math.PI) / 180;
+    return { l, a: c * Math.cos(radians), b: c * Math.sin(radians) };
+}
+
+function hwbToRgb(h, w, b) {
+    if (w + b >= 1) {
+        const gray = (w / (w + b)) * 255;
+        return { r: gray, g: gray, b: gray };
+    }
+    const channel = (n) => {
+        const k = (n + h / 30) % 12;
+        const pure = 0.5 - 0.5 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return (pure * (1 - w - b) + w) * 255;
+    };
+    return { r: channel(0), g: channel(8), b: channel(4) };
+}
+
+function rgbToHwb({ r, g, b }) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const d = max - min;
+    let h = 0;
+    if (d > 0) {
+        if (max === r) h = ((g - b) / d) % 6;
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+        h *= 60;
+        if (h < 0) h += 360;
+    }
+    return { h, w: min / 255, b: 1 - max / 255 };
+}
+
+// Oklab matrices from Björn Ottosson's reference implementation, applied to
+// linear sRGB.
+const linearSrgbToLms = [
+    [0.4122214708, 0.5363325363, 0.0514459929],
+    [0.2119034982, 0.6806995451, 0.1073969566],
+    [0.0883024619, 0.2817188376, 0.6299787005]
+];
+const lmsToOklab = [
+    [0.2104542553, 0.793617785, -0.0040720468],
+    [1.9779984951, -2.428592205, 0.4505937099],
+    [0.0259040371, 0.7827717662, -0.808675766]
+];
+const oklabToLms = [
+    [1, 0.3963377774, 0.2158037573],
+    [1, -0.1055613458, -0.0638541728],
+    [1, -0.0894841775, -1.291485548]
+];
+const lmsToLinearSrgb = [
+    [4.0767416621, -3.3077115913, 0.2309699292],
+    [-1.2684380046, 2.6097574011, -0.3413193965],
+    [-0.0041960863, -0.7034186147, 1.707614701]
+];
+
+function oklabToRgb(l, a, b) {
+    const lms = multiplyMatrix(oklabToLms, [l, a, b]).map((v) => v ** 3);
+    const [r, g, blue] = multiplyMatrix(lmsToLinearSrgb, lms).map((v) => srgbTransfer.fromLinear(v) * 255);
+    return { r, g, b: blue };
+}
+
+function rgbToOklab({ r, g, b }) {
+    const linear = [r, g, b].map((v) => srgbTransfer.toLinear(v / 255));
+    const [l, a, blue] = multiplyMatrix(lmsToOklab, multiplyMatrix(linearSrgbToLms, linear).map(Math.cbrt));
+    return { l, a, b: blue };
+}
+
+// Half an 8-bit step of slack, so matrix round-off does not flag colors that
+// are really inside sRGB.
+function isOutOfSrgb({ r, g, b }) {
+    return [r, g, b].some((v) => v < -0.5 || v > 255.5);
+}
+
+const clampChannel = (v) => Math.min(Math.max(v, 0), 255);
+
+// Bisects OKLCH chroma at constant lightness and hue, as in the CSS Color 4
+// gamut-mapping algorithm, then clips the remaining round-off.
+function reduceChromaToSrgb(rgb) {
+    const { l, c, h } = labToLch(rgbToOklab(rgb));
+    if (l >= 1) return { r: 255, g: 255, b: 255 };
+    if (l <= 0) return { r: 0, g: 0, b: 0 };
+    let low = 0;
+    let high = c;
+    for (let i = 0; i < 24; i++) {
+        const mid = (low + high) / 2;
+        const lab = lchToLab(l, mid, h);
+        if (isOutOfSrgb(oklabToRgb(lab.l, lab.a, lab.b))) high = mid;
+        else low = mid;
+    }
+    const lab = lchToLab(l, low, h);
+    const mapped = oklabToRgb(lab.l, lab.a, lab.b);
+    return { r: clampChannel(mapped.r), g: clampChannel(mapped.g), b: clampChannel(mapped.b) };
+}
+
+const gamutMappingMethods = {
+    chroma: reduceChromaToSrgb,
+    clip: ({ r, g, b }) => ({ r: clampChannel(r), g: clampChannel(g), b: clampChannel(b) })
+};
+
+/**
+ * Returns the color as an sRGB colordx instance, bringing colors outside sRGB in
+ * with the given method ('chroma' or 'clip').
+ */
+function toSrgbColor(colorInfo, method) {
+    if (!colorInfo.rawRgb) return colorInfo.instance;
+    return colordx({ ...gamutMappingMethods[method](colorInfo.rawRgb), alpha: colorInfo.instance.alpha() });
+}
+
+// CSS for previews: `color(srgb …)` accepts channels outside 0–1, so wide-gamut
+// displays show the real color.
+function getDisplayColor(colorInfo) {
+    if (!colorInfo?.rawRgb) return `#${colorInfo?.hex || '000000'}`;
+    const channels = ['r', 'g', 'b'].map((key) => formatNumber(colorInfo.rawRgb[key] / 255, 5));
+    return `color(srgb ${channels.join(' ')} / ${formatAlpha(colorInfo.alpha)})`;
+}
+
+// Full-precision channels, unclamped when the color sits outside sRGB.
+function getRawRgb(colorInfo, c) {
+    if (colorInfo.rawRgb) return colorInfo.rawRgb;
+    return c._rawRgb ? c._rawRgb() : c.toRgb();
+}
+
+function findNamedColor(hex) {
+    const lowerHex = hex.toLowerCase();
+    return Object.keys(cssNamedColors).find((name) => cssNamedColors[name] === lowerHex) || null;
+}
+
+function countDecimals(token) {
+    const match = /\.(\d+)/.exec(token);
+    return match ? match[1].length : 0;
+}
+
+function detectFunctionSyntax(str, lower) {
+    const fn = readColorFunction(str);
+    return {
+        originalPrefix: str.substring(0, lower.indexOf('(')),
+        originalUsesCommas: fn?.usesCommas || false,
+        originalHadExplicitAlpha: fn?.alpha !== null && fn?.alpha !== undefined,
+        originalLightnessPercent: fn?.args[0]?.endsWith('%') || false,
+        originalAlphaPercent: fn?.alpha?.endsWith('%') || false,
+        originalColorSpace: lower.startsWith('color(') ? fn?.args[0]?.toLowerCase() : undefined
+    };
+}
+
+// JSON themes store some colors as numbers: `[r, g, b(, a)]` arrays in 0–1 or
+// 0–255, and 32-bit ARGB integers as written by Android and Flutter.
+function readNumericArray(str) {
+    const match = /^\[(\s*)([\s\S]*?)(\s*)\]$/.exec(str);
+    if (!match) return null;
+    const tokens = match[2].split(/\s*,\s*/);
+    const values = tokens.map(Number);
+    if (tokens.length < 3 || tokens.length > 4 || tokens.some((t) => t === '') || values.some(Number.isNaN)) {
+        return null;
+    }
+    return { tokens, values, padding: [match[1], match[3]], separator: /\s*,\s*/.exec(match[2])[0] };
+}
+
+// Only integers under a color-like property name count; plenty of other numbers
+// (sizes, ids, timestamps) fall in the ARGB range.
+function looksLikeColorInteger(value, name) {
+    if (!Number.isInteger(value) || value < -0x80000000 || value > 0xffffffff) return false;
+    return /colou?r|argb/i.test(name) && value >>> 0 >= 0x1000000;
+}
+
+// A lone color word in a free-text field (`desc="Tan"`) is prose rather than a color.
+const proseFieldRe = /^(?:name|title|label|desc|description|summary|notes?|comments?|author|text|tooltip)$/i;
+
+function isProseColorWord(parsedColor, fieldName) {
+    return parsedColor.inputFormat === 'named' && proseFieldRe.test(fieldName);
+}
+
 const colorFormats = [
+    {
+        name: 'integer',
+        // Plain digits also read as bare hex, so callers ask for this format
+        // explicitly when the value was a number.
+        hintOnly: true,
+        test: (str) => /^-?\d+$/.test(str) && Number(str) >= -0x80000000 && Number(str) <= 0xffffffff,
+        detect: (str) => ({
+            originalPrefix: '',
+            originalUsesCommas: false,
+            originalHadExplicitAlpha: true,
+            originalSigned: str.startsWith('-')
+        }),
+        toRgb: (str) => {
+            const value = Number(str) >>> 0;
+            return { r: (value >>> 16) & 255, g: (value >>> 8) & 255, b: value & 255, alpha: (value >>> 24) / 255 };
+        }
+    },
     {
         name: 'hex',
         test: (str, lower) => lower.startsWith('#') || /^(0x)?[0-9a-f]+$/i.test(str),
@@ -30,8 +434,31 @@ const colorFormats = [
                 originalHadExplicitAlpha:
                     hexContent.length === 4 ||
                     hexContent.length === 8 ||
-                    (hexContent.length === 10 && lower.startsWith('0x'))
+                    (hexContent.length === 10 && lower.startsWith('0x')),
+                originalUpperCase: /[A-F]/.test(hexContent) && !/[a-f]/.test(hexContent)
+            };
+        }
+    },
+    {
+        // X11 `rgb:rr/gg/bb` as found in Xresources, with one to four hex digits per channel.
+        name: 'x11',
+        test: (_str, lower) => /^rgb:[0-9a-f]{1,4}\/[0-9a-f]{1,4}\/[0-9a-f]{1,4}$/.test(lower),
+        detect: (str) => {
+            const channels = str.slice(4).split('/');
+            return {
+                originalPrefix: str.slice(0, 4),
+                originalUsesCommas: false,
+                originalHadExplicitAlpha: false,
+                originalUpperCase: /[A-F]/.test(str.slice(4)) && !/[a-f]/.test(str.slice(4)),
+                originalDigits: channels.map((channel) => channel.length)
             };
+        },
+        toRgb: (str) => {
+            const [r, g, b] = str
+                .slice(4)
+                .split('/')
+                .map((channel) => (parseInt(channel, 16) / (16 ** channel.length - 1)) * 255);
+            return { r, g, b, alpha: 1 };
         }
     },
     {
@@ -61,31 +488,168 @@ const colorFormats = [
     {
         name: 'oklch',
         test: (_str, lower) => lower.startsWith('oklch'),
-        detect: (str, lower) => ({
-            originalPrefix: str.substring(0, lower.indexOf('(')),
+        detect: (str, lower) => {
+            const fn = readColorFunction(str);
+            const [l = '', chroma = '', hue = ''] = fn?.args || [];
+            return {
+                ...detectFunctionSyntax(str, lower),
+                originalChromaPercent: chroma.endsWith('%'),
+                originalHueUnit: /deg$/i.test(hue) ? hue.slice(-3) : '',
+                originalDecimals: [l, chroma, hue].map(countDecimals)
+            };
+        },
+        toRgb: (str) => {
+            const fn = readColorFunction(str);
+            if (fn?.args.length !== 3) return null;
+            const lab = lchToLab(readComponent(fn.args[0], 1), readComponent(fn.args[1], 0.4), readHue(fn.args[2]));
+            return { ...oklabToRgb(lab.l, lab.a, lab.b), alpha: readAlphaComponent(fn.alpha) };
+        }
+    },
+    {
+        name: 'oklab',
+        test: (_str, lower) => lower.startsWith('oklab('),
+        detect: detectFunctionSyntax,
+        toRgb: (str) => {
+            const fn = readColorFunction(str);
+            if (fn?.args.length !== 3) return null;
+            const [l, a, b] = [
+                readComponent(fn.args[0], 1),
+                readComponent(fn.args[1], 0.4),
+                readComponent(fn.args[2], 0.4)
+            ];
+            return { ...oklabToRgb(l, a, b), alpha: readAlphaComponent(fn.alpha) };
+        }
+    },
+    {
+        name: 'hwb',
+        test: (_str, lower) => lower.startsWith('hwb('),
+        detect: detectFunctionSyntax,
+        toRgb: (str) => {
+            const fn = readColorFunction(str);
+            if (fn?.args.length !== 3) return null;
+            const rgb = hwbToRgb(readHue(fn.args[0]), readComponent(fn.args[1], 1), readComponent(fn.args[2], 1));
+            return { ...rgb, alpha: readAlphaComponent(fn.alpha) };
+        }
+    },
+    {
+        name: 'lab',
+        test: (_str, lower) => lower.startsWith('lab('),
+        detect: detectFunctionSyntax,
+        toRgb: (str) => {
+            const fn = readColorFunction(str);
+            if (fn?.args.length !== 3) return null;
+            const [l, a, b] = [
+                readComponent(fn.args[0], 100),
+                readComponent(fn.args[1], 125),
+                readComponent(fn.args[2], 125)
+            ];
+            return { ...labToRgb(l, a, b), alpha: readAlphaComponent(fn.alpha) };
+        }
+    },
+    {
+        name: 'lch',
+        test: (_str, lower) => lower.startsWith('lch('),
+        detect: detectFunctionSyntax,
+        toRgb: (str) => {
+            const fn = readColorFunction(str);
+            if (fn?.args.length !== 3) return null;
+            const lab = lchToLab(readComponent(fn.args[0], 100), readComponent(fn.args[1], 150), readHue(fn.args[2]));
+            return { ...labToRgb(lab.l, lab.a, lab.b), alpha: readAlphaComponent(fn.alpha) };
+        }
+    },
+    {
+        name: 'color',
+        test: (_str, lower) => lower.startsWith('color('),
+        detect: detectFunctionSyntax,
+        toRgb: (str) => {
+            const fn = readColorFunction(str);
+            const spaceName = fn?.args[0]?.toLowerCase();
+            if (!rgbColorSpaces[spaceName] || fn.args.length !== 4) return null;
+            const coords = fn.args.slice(1).map((token) => readComponent(token, 1));
+            return { ...colorSpaceToRgb(spaceName, coords), alpha: readAlphaComponent(fn.alpha) };
+        }
+    },
+    {
+        name: 'array',
+        test: (str) => str.startsWith('['),
+        detect: (str) => {
+            const array = readNumericArray(str);
+            if (!array) return {};
+            const scale = Math.max(...array.values.slice(0, 3)) <= 1 ? 1 : 255;
+            return {
+                originalPrefix: '',
+                originalUsesCommas: true,
+                originalHadExplicitAlpha: array.values.length === 4,
+                originalScale: scale,
+                originalAlphaScale: scale === 255 && array.values[3] > 1 ? 255 : 1,
+                originalComponentCount: array.values.length,
+                originalSeparator: array.separator,
+                originalPadding: array.padding,
+                originalDecimals: array.tokens.map(countDecimals)
+            };
+        },
+        toRgb: (str) => {
+            const array = readNumericArray(str);
+            if (!array) return null;
+            const [r, g, b, a] = array.values;
+            const scale = Math.max(r, g, b) <= 1 ? 255 : 1;
+            const alphaScale = scale === 1 && a > 1 ? 255 : 1;
+            return { r: r * scale, g: g * scale, b: b * scale, alpha: a === undefined ? 1 : a / alphaScale };
+        }
+    },
+    {
+        name: 'named',
+        test: (_str, lower) => lower === 'transparent' || Object.hasOwn(cssNamedColors, lower),
+        detect: (str) => ({
+            originalPrefix: '',
             originalUsesCommas: false,
-            originalHadExplicitAlpha: str.includes('/')
-        })
+            originalHadExplicitAlpha: false,
+            originalUpperCase: str === str.toUpperCase()
+        }),
+        toRgb: (_str, lower) => {
+            if (lower === 'transparent') return { r: 0, g: 0, b: 0, alpha: 0 };
+            const hex = cssNamedColors[lower];
+            return {
+                r: parseInt(hex.slice(0, 2), 16),
+                g: parseInt(hex.slice(2, 4), 16),
+                b: parseInt(hex.slice(4), 16),
+                alpha: 1
+            };
+        }
     }
 ];
 
-function parseColorString(str) {
+/**
+ * @param {string} [formatHint] Format to try first, e.g. the notation of the item
+ * being edited; needed for formats such as 'integer' that are otherwise ambiguous.
+ */
+function parseColorString(str, formatHint) {
     if (typeof str !== 'string') return null;
     str = str.trim();
     const lowerStr = str.toLowerCase();
 
     let detected = null;
     let formatName = 'unknown';
+    let toRgb = null;
+    let rawRgb;
     for (const fmt of colorFormats) {
+        if (fmt.hintOnly && fmt.name !== formatHint) continue;
         if (fmt.test(str, lowerStr)) {
             detected = fmt.detect(str, lowerStr);
             formatName = fmt.name;
+            toRgb = fmt.toRgb;
             break;
         }
     }
 
-    const colorParseInput =
+    let colorParseInput =
         detected && formatName === 'hex' && !str.startsWith('#') ? `#${str.replace(/^0x/i, '')}` : str;
+    if (toRgb) {
+        const rgb = toRgb(str, lowerStr);
+        if (!rgb || [rgb.r, rgb.g, rgb.b, rgb.alpha].some(Number.isNaN)) return null;
+        colorParseInput = rgb;
+        if (isOutOfSrgb(rgb)) rawRgb = { r: rgb.r, g: rgb.g, b: rgb.b };
+    }
     const c = colordx(colorParseInput);
     if (c.isValid()) {
         const rgb = c.toRgb();
@@ -101,7 +665,22 @@ function parseColorString(str) {
             inputFormat: formatName,
             originalPrefix: detected?.originalPrefix || '',
             originalUsesCommas: detected?.originalUsesCommas || false,
-            originalHadExplicitAlpha: detected?.originalHadExplicitAlpha || false
+            originalHadExplicitAlpha: detected?.originalHadExplicitAlpha || false,
+            originalUpperCase: detected?.originalUpperCase || false,
+            originalLightnessPercent: detected?.originalLightnessPercent || false,
+            originalAlphaPercent: detected?.originalAlphaPercent || false,
+            originalColorSpace: detected?.originalColorSpace,
+            originalChromaPercent: detected?.originalChromaPercent || false,
+            originalHueUnit: detected?.originalHueUnit || '',
+            originalDecimals: detected?.originalDecimals,
+            originalSigned: detected?.originalSigned || false,
+            originalScale: detected?.originalScale,
+            originalAlphaScale: detected?.originalAlphaScale,
+            originalComponentCount: detected?.originalComponentCount,
+            originalSeparator: detected?.originalSeparator,
+            originalPadding: detected?.originalPadding,
+            originalDigits: detected?.originalDigits,
+            rawRgb
         };
     }
     return null;
@@ -136,6 +715,10 @@ function formatHex(colorInfo, c, originalPrefix, outputAlpha) {
     } else if (originalPrefix === '' && output.startsWith('#')) {
         output = output.substring(1);
     }
+    if (colorInfo.originalUpperCase) {
+        const prefixLength = output.startsWith('#') ? 1 : originalPrefix.length;
+        output = output.substring(0, prefixLength) + output.substring(prefixLength).toUpperCase();
+    }
     return output;
 }
 
@@ -181,8 +764,105 @@ function formatHsl(c, originalPrefix, usesCommas, outputAlpha) {
     return output;
 }
 
-function formatOklch(c) {
-    return c.toOklchString();
+function formatAlphaSuffix(colorInfo, c, outputAlpha) {
+    if (!outputAlpha) return '';
+    const a = c.alpha();
+    return ` / ${colorInfo.originalAlphaPercent ? `${formatNumber(a * 100, 2)}%` : formatAlpha(a)}`;
+}
+
+function formatHwb(colorInfo, c, outputAlpha) {
+    const { h, w, b } = rgbToHwb(getRawRgb(colorInfo, c));
+    const components = `${formatNumber(h, 2)} ${formatNumber(w * 100, 2)}% ${formatNumber(b * 100, 2)}%`;
+    return `${colorInfo.originalPrefix || 'hwb'}(${components}${formatAlphaSuffix(colorInfo, c, outputAlpha)})`;
+}
+
+function formatLab(colorInfo, c, outputAlpha) {
+    const { l, a, b } = rgbToLab(getRawRgb(colorInfo, c));
+    const lightness = `${formatNumber(l, 2)}${colorInfo.originalLightnessPercent ? '%' : ''}`;
+    const components = `${lightness} ${formatNumber(a, 2)} ${formatNumber(b, 2)}`;
+    return `${colorInfo.originalPrefix || 'lab'}(${components}${formatAlphaSuffix(colorInfo, c, outputAlpha)})`;
+}
+
+function formatLch(colorInfo, c, outputAlpha) {
+    const { l, c: chroma, h } = labToLch(rgbToLab(getRawRgb(colorInfo, c)));
+    const lightness = `${formatNumber(l, 2)}${colorInfo.originalLightnessPercent ? '%' : ''}`;
+    const components = `${lightness} ${formatNumber(chroma, 2)} ${formatNumber(chroma < 0.005 ? 0 : h, 2)}`;
+    return `${colorInfo.originalPrefix || 'lch'}(${components}${formatAlphaSuffix(colorInfo, c, outputAlpha)})`;
+}
+
+function formatOklab(colorInfo, c, outputAlpha) {
+    const { l, a, b } = rgbToOklab(getRawRgb(colorInfo, c));
+    const lightness = colorInfo.originalLightnessPercent ? `${formatNumber(l * 100, 2)}%` : formatNumber(l, 4);
+    const components = `${lightness} ${formatNumber(a, 4)} ${formatNumber(b, 4)}`;
+    return `${colorInfo.originalPrefix || 'oklab'}(${components}${formatAlphaSuffix(colorInfo, c, outputAlpha)})`;
+}
+
+function formatColorFunction(colorInfo, c, outputAlpha) {
+    const spaceName = rgbColorSpaces[colorInfo.originalColorSpace] ? colorInfo.originalColorSpace : 'srgb';
+    const coords = rgbToColorSpace(spaceName, getRawRgb(colorInfo, c)).map((v) => formatNumber(v, 5));
+    const alpha = formatAlphaSuffix(colorInfo, c, outputAlpha);
+    return `${colorInfo.originalPrefix || 'color'}(${spaceName} ${coords.join(' ')}${alpha})`;
+}
+
+// A named color stays named when the new color has a name; otherwise hex is the
+// closest plain notation.
+function formatNamed(colorInfo, c) {
+    const applyCase = (name) => (colorInfo.originalUpperCase ? name.toUpperCase() : name);
+    if (c.alpha() === 0) return applyCase('transparent');
+    const hex = c.toHex();
+    const name = c.alpha() === 1 && findNamedColor(hex.substring(1, 7));
+    if (name) return applyCase(name);
+    return c.alpha() < 1 ? `${hex.substring(0, 7)}${toHexByte(c.alpha() * 255)}` : hex;
+}
+
+// Components keep the decimals they were written with, but never fewer than
+// needed to stay within one step of the 8-bit color.
+function formatOklch(colorInfo, c, outputAlpha) {
+    const { l, c: chroma, h } = labToLch(rgbToOklab(getRawRgb(colorInfo, c)));
+    const [lDecimals = 0, cDecimals = 0, hDecimals = 0] = colorInfo.originalDecimals || [];
+    const lightness = colorInfo.originalLightnessPercent
+        ? `${formatNumber(l * 100, Math.max(lDecimals, 1))}%`
+        : formatNumber(l, Math.max(lDecimals, 3));
+    const chromaText = colorInfo.originalChromaPercent
+        ? `${formatNumber((chroma / 0.4) * 100, Math.max(cDecimals, 1))}%`
+        : formatNumber(chroma, Math.max(cDecimals, 3));
+    const hue = `${formatNumber(chroma < 0.0005 ? 0 : h, hDecimals)}${colorInfo.originalHueUnit || ''}`;
+    const alpha = formatAlphaSuffix(colorInfo, c, outputAlpha);
+    return `${colorInfo.originalPrefix || 'oklch'}(${lightness} ${chromaText} ${hue}${alpha})`;
+}
+
+// Unit-scale components keep at least three decimals so 8-bit channels survive.
+function formatNumericArray(colorInfo, c, outputAlpha) {
+    const { r, g, b } = getRawRgb(colorInfo, c);
+    const scale = colorInfo.originalScale || 1;
+    const alphaScale = colorInfo.originalAlphaScale || 1;
+    const decimals = colorInfo.originalDecimals || [];
+    const format = (value, i, unit) => formatNumber(value, Math.max(decimals[i] || 0, unit === 1 ? 3 : 0));
+    const values = [r, g, b].map((v, i) => format(Math.min(Math.max(v, 0), 255) * (scale / 255), i, scale));
+    if (outputAlpha || colorInfo.originalComponentCount === 4)
+        values.push(format(c.alpha() * alphaScale, 3, alphaScale));
+    const [open, close] = colorInfo.originalPadding || ['', ''];
+    return `[${open}${values.join(colorInfo.originalSeparator || ', ')}${close}]`;
+}
+
+function formatInteger(colorInfo, c) {
+    const { r, g, b } = c.toRgb();
+    const argb = (Math.round(c.alpha() * 255) << 24) | (Math.round(r) << 16) | (Math.round(g) << 8) | Math.round(b);
+    return String(colorInfo.originalSigned ? argb : argb >>> 0);
+}
+
+// X11 colors carry no alpha, so only the channels are written.
+function formatX11(colorInfo, c) {
+    const { r, g, b } = getRawRgb(colorInfo, c);
+    const digits = colorInfo.originalDigits || [2, 2, 2];
+    const channels = [r, g, b].map((value, i) => {
+        const max = 16 ** digits[i] - 1;
+        const text = Math.round((Math.min(Math.max(value, 0), 255) / 255) * max)
+            .toString(16)
+            .padStart(digits[i], '0');
+        return colorInfo.originalUpperCase ? text.toUpperCase() : text;
+    });
+    return `${colorInfo.originalPrefix || 'rgb:'}${channels.join('/')}`;
 }
 
 function formatDefault(c, originalPrefix, outputAlpha) {
@@ -224,12 +904,99 @@ function formatColorForOutput(colorInfo) {
         case 'hsl':
             return formatHsl(c, originalPrefix, usesCommas, outputAlpha);
         case 'oklch':
-            return formatOklch(c);
+            return formatOklch(colorInfo, c, outputAlpha);
+        case 'oklab':
+            return formatOklab(colorInfo, c, outputAlpha);
+        case 'hwb':
+            return formatHwb(colorInfo, c, outputAlpha);
+        case 'lab':
+            return formatLab(colorInfo, c, outputAlpha);
+        case 'lch':
+            return formatLch(colorInfo, c, outputAlpha);
+        case 'color':
+            return formatColorFunction(colorInfo, c, outputAlpha);
+        case 'named':
+            return formatNamed(colorInfo, c);
+        case 'array':
+            return formatNumericArray(colorInfo, c, outputAlpha);
+        case 'integer':
+            return formatInteger(colorInfo, c);
+        case 'x11':
+            return formatX11(colorInfo, c);
         default:
             return formatDefault(c, originalPrefix, outputAlpha);
     }
 }
 
+// CIE Lab (D50) to sRGB channels in 0-255, left unclamped so callers can tell when a
+// color falls outside sRGB.
+function labToRgb(l, a, b) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const x = fx ** 3 > labEpsilon ? fx ** 3 : (116 * fx - 16) / labKappa;
+    const y = l > labKappa * labEpsilon ? fy ** 3 : l / labKappa;
+    const z = fz ** 3 > labEpsilon ? fz ** 3 : (116 * fz - 16) / labKappa;
+    return xyzToRgb([x * d50White[0], y, z * d50White[2]], 'D50');
+}
+
+const colorFunctionNames = ['rgba', 'rgb', 'hsla', 'hsl', 'hwb', 'lab', 'lch', 'oklch', 'oklab', 'color'];
+
+// Finds every color literal inside a compound value such as a gradient, a shadow or
+// a border shorthand. Offsets are relative to `text`.
+function findColorLiterals(text) {
+    const literals = [];
+    const re = new RegExp(
+        `(?<![\\w#-])(?:#[0-9a-f]{3,8}(?![\\w-])|(?:${colorFunctionNames.join('|')})\\(|[a-z]+(?![\\w(-]))`,
+        'gi'
+    );
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        const word = /^[a-z]+$/i.test(match[0]) && match[0].toLowerCase();
+        if (word && word !== 'transparent' && !Object.hasOwn(cssNamedColors, word)) continue;
+        let end = match.index + match[0].length;
+        if (match[0].endsWith('(')) {
+            let depth = 1;
+            while (end < text.length && depth > 0) {
+                if (text[end] === '(') depth++;
+                if (text[end] === ')') depth--;
+                end++;
+            }
+            if (depth > 0) break;
+            re.lastIndex = end;
+        }
+        const parsedColor = parseColorString(text.slice(match.index, end));
+        if (parsedColor) literals.push({ start: match.index, end, parsedColor });
+    }
+    return literals;
+}
+
+const compoundContextRe = new RegExp(
+    `(?:\\b(?:${colorFunctionNames.join('|')}|color-mix|(?:repeating-)?(?:linear|radial|conic)-gradient)\\(|` +
+        '(?<![\\w.#-])-?(?:\\d*\\.)?\\d+(?:px|r?em|ch|vw|vh|pt|%|deg|turn|g?rad)(?![\\w-]))',
+    'i'
+);
+
+/**
+ * Color literals of a value that is not a color itself. Values without any
+ * CSS-like context (a color function, a gradient, a length or an angle, or
+ * several colors) are ignored so that prose such as "(inspired by Monokai)" is
+ * not taken for a color. Outside declarations, color words and all-digit hex
+ * such as "#123" also need that context, so "fixes #123 and #456" stays prose.
+ * @param {boolean} inDeclaration Whether `text` is the value of a CSS declaration.
+ * @returns {{start: number, end: number, parsedColor: Object}[]}
+ */
+function findCompoundColors(text, inDeclaration = false) {
+    const hasContext = compoundContextRe.test(text);
+    const literals = findColorLiterals(text).filter(
+        ({ parsedColor }) =>
+            inDeclaration ||
+            hasContext ||
+            (parsedColor.inputFormat !== 'named' && !/^#\d+$/.test(parsedColor.originalString))
+    );
+    return hasContext || literals.length > 1 ? literals : [];
+}
+
 function normalizeHex(hexInput) {
     const normalized =
         typeof hexInput === 'string' && !hexInput.startsWith('#') ? `#${hexInput.replace(/^0x/i, '')}` : hexInput;
@@ -255,4 +1022,10 @@ function getContrastingBackground(textColorHex) {
 window.parseColorString = parseColorString;
 window.formatColorForOutput = formatColorForOutput;
 window.normalizeHex = normalizeHex;
+window.labToRgb = labToRgb;
+window.findCompoundColors = findCompoundColors;
 window.getContrastingBackground = getContrastingBackground;
+window.toSrgbColor = toSrgbColor;
+window.looksLikeColorInteger = looksLikeColorInteger;
+window.isProseColorWord = isProseColorWord;
+window.getDisplayColor = getDisplayColor;
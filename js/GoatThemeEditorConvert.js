@@ -0,0 +1,302 @@
+/** Goat Theme Editor - Format Conversion
+ * @file GoatThemeEditorConvert.js
+ * @description Writes the current theme items into a different target format.
+ * Each target lists the keys it expects; source items are matched to them by
+ * name or by shared slot (`background`, `ansi.bright.red`, ...), and the user's
+ * own mapping can be saved per source/target pair.
+ * @license MIT
+ * @author Chase McGoat
+ */
+
+const terminalSlots = [
+    'background',
+    'foreground',
+    'cursor',
+    'cursor.text',
+    'selection.background',
+    'selection.foreground',
+    ...['normal', 'bright'].flatMap((tone) => ansiColorNames.map((color) => `ansi.${tone}.${color}`))
+];
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function ansiSlotParts(slot) {
+    const match = slot.match(/^ansi\.(normal|bright)\.(\w+)$/);
+    return match ? { bright: match[1] === 'bright', color: match[2], index: ansiColorNames.indexOf(match[2]) } : null;
+}
+
+function terminalKeys(slotKey) {
+    return terminalSlots.map((slot) => ({ key: slotKey(slot), slot })).filter(({ key }) => key);
+}
+
+const vsCodeSlotKeys = {
+    background: ['editor.background', 'terminal.background'],
+    foreground: ['editor.foreground', 'terminal.foreground'],
+    cursor: ['editorCursor.foreground', 'terminalCursor.foreground'],
+    'selection.background': ['editor.selectionBackground', 'terminal.selectionBackground']
+};
+
+const conversionTargets = {
+    css: {
+        label: 'CSS variables',
+        ext: '.css',
+        mimeType: 'text/css;charset=utf-8',
+        keys: null,
+        write: (entries) => `:root {\n${entries.map(({ key, hex }) => `    --${key}: ${hex};`).join('\n')}\n}\n`
+    },
+    vscode: {
+        label: 'VS Code theme',
+        ext: '.json',
+        mimeType: 'application/json;charset=utf-8',
+        keys: [
+            ...Object.entries(vsCodeSlotKeys).flatMap(([slot, keys]) => keys.map((key) => ({ key, slot }))),
+            ...['sideBar.background', 'activityBar.background', 'statusBar.background', 'panel.background'].map(
+                (key) => ({ key, fallback: 'background' })
+            ),
+            ...['titleBar.activeBackground', 'tab.activeBackground', 'editorLineNumber.foreground'].map((key) => ({
+                key
+            })),
+            ...terminalKeys((slot) => {
+                const ansi = ansiSlotParts(slot);
+                return ansi && `terminal.ansi${ansi.bright ? 'Bright' : ''}${capitalize(ansi.color)}`;
+            })
+        ],
+        write: (entries) => {
+            const background = entries.find(({ key }) => key === 'editor.background');
+            const data = {
+                name: appState.originalThemeFileName,
+                type: background && colordx(background.hex).isLight() ? 'light' : 'dark',
+                colors: Object.fromEntries(entries.map(({ key, hex }) => [key, hex]))
+            };
+            return `${JSON.stringify(data, null, 4)}\n`;
+        }
+    },
+    'windows-terminal': {
+        label: 'Windows Terminal scheme',
+        ext: '.json',
+        mimeType: 'application/json;charset=utf-8',
+        opaque: true,
+        keys: terminalKeys((slot) => {
+            const ansi = ansiSlotParts(slot);
+            if (ansi) {
+                const color = ansi.color === 'magenta' ? 'purple' : ansi.color;
+                return ansi.bright ? `bright${capitalize(color)}` : color;
+            }
+            if (slot === 'background' || slot === 'foreground') return slot;
+            return Object.entries(windowsTerminalKeyNames).find(([, name]) => name === slot)?.[0] || null;
+        }),
+        write: (entries) => {
+            const data = { name: appState.originalThemeFileName };
+            entries.forEach(({ key, hex }) => {
+                data[key] = hex;
+            });
+            return `${JSON.stringify(data, null, 4)}\n`;
+        }
+    },
+    'alacritty-toml': {
+        label: 'Alacritty (TOML)',
+        ext: '.toml',
+        mimeType: 'application/toml;charset=utf-8',
+        opaque: true,
+        keys: terminalKeys((slot) => {
+            const ansi = ansiSlotParts(slot);
+            if (ansi) return `${ansi.bright ? 'bright' : 'normal'}.${ansi.color}`;
+            return {
+                background: 'primary.background',
+                foreground: 'primary.foreground',
+                cursor: 'cursor.cursor',
+                'cursor.text': 'cursor.text',
+                'selection.background': 'selection.background',
+                'selection.foreground': 'selection.text'
+            }[slot];
+        }),
+        write: (entries) => {
+            const tables = new Map();
+            entries.forEach(({ key, hex }) => {
+                const [table, name] = key.split('.');
+                if (!tables.has(table)) tables.set(table, []);
+                tables.get(table).push(`${name} = "${hex}"`);
+            });
+            return `${[...tables].map(([table, lines]) => `[colors.${table}]\n${lines.join('\n')}\n`).join('\n')}`;
+        }
+    },
+    kitty: {
+        label: 'kitty',
+        ext: '.conf',
+        mimeType: 'text/plain;charset=utf-8',
+        opaque: true,
+        keys: terminalKeys((slot) => {
+            const ansi = ansiSlotParts(slot);
+            if (ansi) return `color${ansi.index + (ansi.bright ? 8 : 0)}`;
+            return Object.entries(kittyKeyNames).find(([, name]) => name === slot)?.[0] || slot;
+        }),
+        write: (entries) => `${entries.map(({ key, hex }) => `${key} ${hex}`).join('\n')}\n`
+    },
+    xresources: {
+        label: 'Xresources',
+        ext: '.Xresources',
+        mimeType: 'text/plain;charset=utf-8',
+        opaque: true,
+        keys: terminalKeys((slot) => {
+            const ansi = ansiSlotParts(slot);
+            if (ansi) return `color${ansi.index + (ansi.bright ? 8 : 0)}`;
+            if (slot === 'background' || slot === 'foreground') return slot;
+            return Object.entries(xresourcesKeyNames).find(([, name]) => name === slot)?.[0] || null;
+        }),
+        write: (entries) => `${entries.map(({ key, hex }) => `*.${key}: ${hex}`).join('\n')}\n`
+    },
+    itermcolors: {
+        label: 'iTerm2 (.itermcolors)',
+        ext: '.itermcolors',
+        mimeType: 'application/xml;charset=utf-8',
+        keys: terminalKeys((slot) => {
+            const ansi = ansiSlotParts(slot);
+            if (ansi) return `Ansi ${ansi.index + (ansi.bright ? 8 : 0)} Color`;
+            return Object.entries(itermKeyNames).find(([, name]) => name === slot)?.[0] || null;
+        }),
+        write: (entries) => {
+            const component = (name, value) => `\t\t<key>${name} Component</key>\n\t\t<real>${value}</real>\n`;
+            const dicts = entries.map(({ key, hex, alpha }) => {
+                const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.substring(i, i + 2), 16) / 255);
+                const body = [
+                    component('Alpha', alpha),
+                    component('Blue', b),
+                    '\t\t<key>Color Space</key>\n\t\t<string>sRGB</string>\n',
+                    component('Green', g),
+                    component('Red', r)
+                ].join('');
+                return `\t<key>${escapeXml(key, '')}</key>\n\t<dict>\n${body}\t</dict>\n`;
+            });
+            return (
+                '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">\n' +
+                `<plist version="1.0">\n<dict>\n${dicts.join('')}</dict>\n</plist>\n`
+            );
+        }
+    }
+};
+
+// Source item names are matched against every target's key table so that, for
+// example, a VS Code `terminal.ansiRed` item fills the `ansi.normal.red` slot.
+function getItemSlot(name) {
+    if (terminalSlots.includes(name)) return name;
+    for (const target of Object.values(conversionTargets)) {
+        const match = target.keys?.find(({ key }) => key === name);
+        if (match?.slot) return match.slot;
+    }
+    return null;
+}
+
+function getConvertibleItems() {
+    const seen = new Set();
+    return appState.themeItems.filter((item) => {
+        if (!item.isColor || !item.colorInfo || seen.has(item.name)) return false;
+        seen.add(item.name);
+        return true;
+    });
+}
+
+function toCssKey(name) {
+    return name
+        .trim()
+        .replace(/^(?:--|[$@])/, '')
+        .replace(/[^\w-]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+const conversionMappingsStorageKey = 'themeEditorConversionMappings';
+
+function loadConversionMappings() {
+    try {
+        return JSON.parse(localStorage.getItem(conversionMappingsStorageKey)) || {};
+    } catch {
+        return {};
+    }
+}
+
+function getConversionMappingId(targetId) {
+    return `${appState.themeDialect || 'unknown'} > ${targetId}`;
+}
+
+function saveConversionMapping(targetId, mapping) {
+    const mappings = loadConversionMappings();
+    mappings[getConversionMappingId(targetId)] = mapping;
+    try {
+        localStorage.setItem(conversionMappingsStorageKey, JSON.stringify(mappings));
+    } catch (_) {}
+}
+
+/**
+ * Builds the initial rows for a target: a saved mapping wins while its source
+ * exists in this file, then an item with the same name as the key, then an item
+ * that fills the same (or fallback) slot.
+ * @returns {Array<{key: string, source: string}>} `source` is '' when unmapped.
+ */
+function getDefaultConversionRows(targetId) {
+    const target = conversionTargets[targetId];
+    const items = getConvertibleItems();
+    const saved = loadConversionMappings()[getConversionMappingId(targetId)];
+    const itemNames = new Set(items.map((item) => item.name));
+    const validSource = (name) => (name && itemNames.has(name) ? name : '');
+
+    if (!target.keys) {
+        if (saved && Object.values(saved).some((source) => itemNames.has(source)))
+            return Object.entries(saved).map(([key, source]) => ({ key, source: validSource(source) }));
+        return items.map((item) => ({ key: toCssKey(item.name), source: item.name }));
+    }
+
+    const bySlot = new Map();
+    items.forEach((item) => {
+        const slot = getItemSlot(item.name);
+        if (slot && !bySlot.has(slot)) bySlot.set(slot, item.name);
+    });
+    return target.keys.map(({ key, slot, fallback }) => {
+        // An empty saved source means the key was deliberately left unmapped.
+        if (saved && key in saved && (saved[key] === '' || itemNames.has(saved[key]))) {
+            return { key, source: saved[key] };
+        }
+        const source = itemNames.has(key) ? key : bySlot.get(slot) || bySlot.get(fallback) || '';
+        return { key, source };
+    });
+}
+
+function formatConversionHex(colorInfo, opaque, gamutMethod) {
+    const alpha = colorInfo.alpha ?? 1;
+    const hex = normalizeHex(toSrgbColor(colorInfo, gamutMethod).toHex());
+    return opaque || alpha >= 1 ? `#${hex}` : `#${hex}${toHexByte(alpha * 255).toUpperCase()}`;
+}
+
+/**
+ * Writes the theme in the target format using the given rows.
+ * @param {string} gamutMethod How colors outside sRGB are brought in ('chroma' or 'clip').
+ * @returns {string[]} Target keys left without a source color.
+ */
+function exportConvertedTheme(targetId, rows, gamutMethod = 'chroma') {
+    const target = conversionTargets[targetId];
+    const itemsByName = new Map(getConvertibleItems().map((item) => [item.name, item]));
+    const entries = [];
+    const unmapped = [];
+    rows.forEach(({ key, source }) => {
+        if (!key) return;
+        const item = itemsByName.get(source);
+        if (!item) {
+            unmapped.push(key);
+            return;
+        }
+        entries.push({
+            key,
+            hex: formatConversionHex(item.colorInfo, target.opaque, gamutMethod),
+            alpha: item.colorInfo.alpha ?? 1
+        });
+    });
+    downloadFile(target.write(entries), target.mimeType, target.ext);
+    return unmapped;
+}
+
+window.conversionTargets = conversionTargets;
+window.getDefaultConversionRows = getDefaultConversionRows;
+window.getConvertibleItems = getConvertibleItems;
+window.saveConversionMapping = saveConversionMapping;
+window.exportConvertedTheme = exportConvertedTheme;
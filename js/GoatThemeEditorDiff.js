@@ -0,0 +1,181 @@
+/** Goat Theme Editor - Export Preview
+ * @file GoatThemeEditorDiff.js
+ * @description Unified diff output and the preview shown before a theme is
+ * exported. The diff is built from the same source edits the export applies, so
+ * what it shows is exactly what gets downloaded.
+ * @license MIT
+ * @author Chase McGoat
+ */
+
+const diffContextLines = 3;
+
+const exportPreviewState = {
+    changes: [],
+    excluded: new Set()
+};
+
+function getLineStarts(text) {
+    const starts = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+    return starts;
+}
+
+function findLineIndex(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+}
+
+// Splits text into lines that keep their '\n', so a missing final newline shows.
+function splitLinesKeepingEnds(text) {
+    return text.split(/(?<=\n)/).filter((line) => line !== '');
+}
+
+// Groups edits that touch the same lines and rewrites those lines as a whole. An
+// edit that removes a line break also takes in the line after it.
+function buildChangedBlocks(source, edits, lineStarts) {
+    const blocks = [];
+    [...edits]
+        .sort((a, b) => a.start - b.start)
+        .forEach((edit) => {
+            const first = findLineIndex(lineStarts, edit.start);
+            const last = findLineIndex(lineStarts, edit.end);
+            const block = blocks[blocks.length - 1];
+            if (block && first <= block.last) {
+                block.last = Math.max(block.last, last);
+                block.edits.push(edit);
+            } else {
+                blocks.push({ first, last, edits: [edit] });
+            }
+        });
+    return blocks
+        .map(({ first, last, edits: blockEdits }) => {
+            const offset = lineStarts[first];
+            const end = last + 1 < lineStarts.length ? lineStarts[last + 1] : source.length;
+            const shifted = blockEdits.map((edit) => ({ ...edit, start: edit.start - offset, end: edit.end - offset }));
+            const oldText = source.slice(offset, end);
+            const newText = applySourceEdits(oldText, shifted);
+            return {
+                first,
+                last,
+                oldText,
+                oldLines: splitLinesKeepingEnds(oldText),
+                newLines: splitLinesKeepingEnds(newText)
+            };
+        })
+        .filter((block) => block.oldText !== block.newLines.join(''));
+}
+
+/**
+ * Formats source edits as a unified diff of the file; returns '' when nothing changed.
+ * Edits are known ranges, so the hunks come straight from them without a line diff.
+ * @param {{start: number, end: number, text: string}[]} edits As applied by applySourceEdits.
+ */
+function formatSourceDiff(source, edits, fileName, context = diffContextLines) {
+    const lines = splitLinesKeepingEnds(source);
+    const lineStarts = getLineStarts(source);
+    const blocks = buildChangedBlocks(source, edits, lineStarts);
+    if (blocks.length === 0) return '';
+
+    const hunks = [];
+    blocks.forEach((block) => {
+        const hunk = hunks[hunks.length - 1];
+        if (hunk && block.first - hunk[hunk.length - 1].last - 1 <= 2 * context) hunk.push(block);
+        else hunks.push([block]);
+    });
+
+    const output = [`--- a/${fileName}`, `+++ b/${fileName}`];
+    const pushLine = (marker, line) => {
+        if (line.endsWith('\n')) {
+            output.push(marker + line.slice(0, -1));
+        } else {
+            output.push(marker + line, '\\ No newline at end of file');
+        }
+    };
+    let delta = 0;
+    hunks.forEach((hunk) => {
+        const lastBlock = hunk[hunk.length - 1];
+        const from = Math.max(0, hunk[0].first - context);
+        const to = Math.min(lines.length, lastBlock.first + lastBlock.oldLines.length + context);
+        const hunkDelta = hunk.reduce((sum, block) => sum + block.newLines.length - block.oldLines.length, 0);
+        const oldCount = to - from;
+        const newCount = oldCount + hunkDelta;
+        // An empty range is numbered by the line before it.
+        const oldStart = oldCount === 0 ? from : from + 1;
+        const newStart = newCount === 0 ? from + delta : from + 1 + delta;
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        let index = from;
+        hunk.forEach((block) => {
+            for (; index < block.first; index++) pushLine(' ', lines[index]);
+            block.oldLines.forEach((line) => {
+                pushLine('-', line);
+            });
+            block.newLines.forEach((line) => {
+                pushLine('+', line);
+            });
+            index = block.first + block.oldLines.length;
+        });
+        for (; index < to; index++) pushLine(' ', lines[index]);
+        delta += hunkDelta;
+    });
+    return output.join('\n');
+}
+
+function buildExportDiff() {
+    const edits = getSourceEdits(exportPreviewState.excluded);
+    return formatSourceDiff(appState.themeSource, edits, appState.themeFileFullName || appState.originalThemeFileName);
+}
+
+function refreshExportPreview() {
+    const { changes, excluded } = exportPreviewState;
+    const included = changes.length - excluded.size;
+    const message = document.getElementById('exportPreviewMessage');
+    if (message) {
+        message.textContent = changes.length
+            ? `${included} of ${changes.length} change${changes.length === 1 ? '' : 's'} will be written.`
+            : 'Nothing has changed; the file will be written as imported.';
+    }
+    renderExportDiff(buildExportDiff());
+}
+
+/**
+ * Lists the changes the export would write and a diff of the file, with a
+ * checkbox per change to leave it out of the download.
+ */
+function openExportPreview() {
+    const dialog = document.getElementById('exportPreviewDialog');
+    if (appState.themeSource === null || !dialog) {
+        exportTheme();
+        return;
+    }
+    exportPreviewState.changes = getExportChanges();
+    exportPreviewState.excluded = new Set();
+    renderExportChanges(exportPreviewState.changes, (item, included) => {
+        if (included) {
+            exportPreviewState.excluded.delete(item);
+        } else {
+            exportPreviewState.excluded.add(item);
+        }
+        refreshExportPreview();
+    });
+    refreshExportPreview();
+    dialog.showModal();
+}
+
+function confirmExportPreview() {
+    const dialog = document.getElementById('exportPreviewDialog');
+    if (dialog) dialog.close();
+    const { excluded } = exportPreviewState;
+    exportTheme(excluded);
+    // Changes left out of the download keep the session on offer for restoring.
+    if (excluded.size === 0) markSessionExported();
+}
+
+window.formatSourceDiff = formatSourceDiff;
+window.openExportPreview = openExportPreview;
+window.confirmExportPreview = confirmExportPreview;
@@ -0,0 +1,98 @@
+/** Goat Theme Editor - History
+ * @file GoatThemeEditorHistory.js
+ * @description Undo/redo for color and palette edits. Every entry is a labelled
+ * snapshot taken after a change; edits replace `item.colorInfo` instead of
+ * mutating it, so a snapshot only needs to keep references.
+ * @license MIT
+ * @author Chase McGoat
+ */
+
+const maxHistoryEntries = 200;
+
+function captureEditorState() {
+    return {
+        items: appState.themeItems.map((item) => ({
+            item,
+            colorInfo: item.colorInfo,
+            currentColorHex: item.currentColorHex,
+            reference: item.reference
+        })),
+        palette: [...appState.palette]
+    };
+}
+
+function isSameEditorState(a, b) {
+    return (
+        a.items.length === b.items.length &&
+        a.items.every(
+            (entry, i) =>
+                entry.item === b.items[i].item &&
+                entry.colorInfo === b.items[i].colorInfo &&
+                entry.reference === b.items[i].reference
+        ) &&
+        a.palette.length === b.palette.length &&
+        a.palette.every((color, i) => color === b.palette[i])
+    );
+}
+
+/**
+ * Starts a new history whose only entry is the current state.
+ */
+function resetHistory(label) {
+    appState.history = [{ label, state: captureEditorState() }];
+    appState.historyIndex = 0;
+    renderHistoryPanel();
+}
+
+/**
+ * Records the current state under `label`, dropping anything that was undone.
+ * Does nothing when the state has not changed since the current entry.
+ */
+function commitHistory(label) {
+    const state = captureEditorState();
+    const current = appState.history[appState.historyIndex];
+    if (current && isSameEditorState(current.state, state)) return;
+    appState.history = appState.history.slice(0, appState.historyIndex + 1);
+    appState.history.push({ label, state });
+    if (appState.history.length > maxHistoryEntries) appState.history.shift();
+    appState.historyIndex = appState.history.length - 1;
+    renderHistoryPanel();
+    updateButtonStates();
+    scheduleSessionSave();
+}
+
+function restoreEditorState(state) {
+    state.items.forEach(({ item, colorInfo, currentColorHex, reference }) => {
+        item.colorInfo = colorInfo;
+        item.currentColorHex = currentColorHex;
+        item.reference = reference;
+    });
+    appState.palette = [...state.palette];
+    if (appState.selectedPaletteColor && !appState.palette.some((c) => c.hex === appState.selectedPaletteColor.hex)) {
+        appState.selectedPaletteColor = null;
+    }
+    renderPalette();
+    filterThemeItems();
+}
+
+function jumpToHistory(index) {
+    if (index < 0 || index >= appState.history.length || index === appState.historyIndex) return;
+    appState.historyIndex = index;
+    restoreEditorState(appState.history[index].state);
+    renderHistoryPanel();
+    scheduleSessionSave();
+}
+
+function undo() {
+    jumpToHistory(appState.historyIndex - 1);
+}
+
+function redo() {
+    jumpToHistory(appState.historyIndex + 1);
+}
+
+window.resetHistory = resetHistory;
+window.commitHistory = commitHistory;
+window.jumpToHistory = jumpToHistory;
+window.undo = undo;
+window.redo = redo;
@@ -1,29 +1,50 @@
 /** Goat Theme Editor - File I/O
  * @file GoatThemeEditorIO.js
  * @description Manages file import/export logic, including parsing palettes
- * and theme files, and exporting the final XML.
+ * and theme files, and exporting the edited theme in its original format.
  * @license MIT
  * @author Chase McGoat
  */
 
-function detectContentFormat(trimmed, parseCss, parseJson, parseXml, nonEmpty) {
+function detectContentFormat(text, parseCss, parseJson, parseXml, nonEmpty) {
+    const trimmed = text.trim();
     if (trimmed.includes('--')) {
-        const result = parseCss(trimmed);
+        const result = parseCss(text);
         if (nonEmpty(result)) return result;
     }
+    // Attribute and nesting selectors such as `[data-theme="dark"] { ... }` also open
+    // with a bracket, so text that is not JSON(C) gets a stylesheet parse first.
     if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
-        return parseJson(trimmed);
+        if (!isJsoncText(text)) {
+            const result = parseCss(text);
+            if (nonEmpty(result)) return result;
+        }
+        return parseJson(text);
     }
-    if (trimmed.includes('{') && trimmed.includes(';')) {
-        const result = parseCss(trimmed);
+    if (!trimmed.startsWith('<') && trimmed.includes('{') && trimmed.includes(':')) {
+        const result = parseCss(text);
         if (nonEmpty(result)) return result;
     }
-    return parseXml(trimmed);
+    return parseXml(text);
+}
+
+function isJsoncText(text) {
+    try {
+        parseJsonc(text);
+        return true;
+    } catch {
+        return false;
+    }
 }
 
-function parsePalette(content) {
+function parsePalette(content, fileName = '') {
     const trimmed = content.replace(/^\uFEFF/, '').trim();
     if (!trimmed) return [];
+    if (fileName.toLowerCase().endsWith('.gpl') || trimmed.startsWith('GIMP Palette')) {
+        return parsePaletteGpl(trimmed);
+    }
+    if (isPaintNetPalette(trimmed)) return parsePalettePaintNet(trimmed);
+    if (/^\[?\s*\{[\s\S]*"swatches"[\s\S]*"hue"/.test(trimmed)) return parsePaletteProcreateJson(trimmed);
     return detectContentFormat(trimmed, parsePaletteCss, parsePaletteJson, parsePaletteXml, (r) => r.length > 0);
 }
 
@@ -44,8 +65,9 @@ function parsePaletteXml(xml) {
                 e.getAttribute('oklchValue') ||
                 e.getAttribute('value') ||
                 '';
+            const group = e.getAttribute('group') || undefined;
             const parsed = parseColorString(colorStr);
-            return parsed ? { name, hex: parsed.hex } : null;
+            return parsed ? { name, hex: parsed.hex, group } : null;
         })
         .filter(Boolean);
 }
@@ -69,52 +91,58 @@ function parsePaletteCss(css) {
 
 function safeParseJson(json, errorMessage) {
     try {
-        return JSON.parse(json);
-    } catch (_e) {
+        return parseJsonc(json);
+    } catch (e) {
+        console.error(errorMessage, e.message);
         alert(errorMessage);
         return null;
     }
 }
 
-function walkJsonValues(data, onString, prefix) {
-    if (Array.isArray(data)) {
-        if (data.length >= 3 && data.length <= 4 && data.every((v) => typeof v === 'number')) {
-            const scale = Math.max(...data) <= 1 ? 255 : 1;
-            onString(
-                prefix || '',
-                `rgb(${Math.round(data[0] * scale)}, ${Math.round(data[1] * scale)}, ${Math.round(data[2] * scale)})`
-            );
+// Calls onValue(key, text, node) for strings, `[r, g, b(, a)]` component arrays and
+// integers that look like ARGB colors. Non-string values are passed as JSON text.
+// `propertyName` is the key holding the value (or the array it sits in), which hints
+// whether an integer is a color (`primaryColor`, `argb`).
+function walkJsonValues(node, onValue, prefix, propertyName = '') {
+    const visit = (key, value, name) => {
+        if (value.type === 'string') {
+            onValue(key, value.value, value);
+        } else if (value.type === 'number' && looksLikeColorInteger(value.value, name)) {
+            onValue(key, String(value.value), value);
+        } else if (value.type === 'object' || value.type === 'array') {
+            walkJsonValues(value, onValue, key, name);
+        }
+    };
+    if (node.type === 'array') {
+        const data = node.items.map((v) => v.value);
+        const isComponentArray =
+            data.length >= 3 &&
+            data.length <= 4 &&
+            node.items.every((v) => v.type === 'number') &&
+            data.every((v) => v >= 0 && v <= 255);
+        if (isComponentArray) {
+            onValue(prefix || '', `[${data.join(', ')}]`, node);
             return;
         }
-        data.forEach((item, i) => {
-            const key = prefix ? `${prefix}[${i}]` : `color-${i + 1}`;
-            if (typeof item === 'string') {
-                onString(key, item);
-            } else if (item && typeof item === 'object') {
-                walkJsonValues(item, onString, key);
-            }
+        node.items.forEach((item, i) => {
+            visit(prefix ? `${prefix}[${i}]` : `color-${i + 1}`, item, propertyName);
         });
-    } else if (data && typeof data === 'object') {
-        Object.entries(data).forEach(([key, value]) => {
-            const fullKey = prefix ? `${prefix}.${key}` : key;
-            if (typeof value === 'string') {
-                onString(fullKey, value);
-            } else if (value && typeof value === 'object') {
-                walkJsonValues(value, onString, fullKey);
-            }
+    } else if (node.type === 'object') {
+        node.properties.forEach(({ key, value }) => {
+            visit(prefix ? `${prefix}.${key}` : key, value, key);
         });
     }
 }
 
 function parsePaletteJson(json) {
-    const data = safeParseJson(json, 'Error: Invalid Palette JSON.');
-    if (!data) return [];
+    const root = safeParseJson(json, 'Error: Invalid Palette JSON.');
+    if (!root) return [];
 
     const seen = new Set();
     const palette = [];
 
-    walkJsonValues(data, (name, value) => {
-        const parsed = parseColorString(value);
+    walkJsonValues(root, (name, value, node) => {
+        const parsed = parseColorString(value, node.type === 'number' ? 'integer' : undefined);
         if (parsed && !seen.has(parsed.hex)) {
             seen.add(parsed.hex);
             palette.push({ name: name || 'Unnamed', hex: parsed.hex });
@@ -124,159 +152,562 @@ function parsePaletteJson(json) {
     return palette;
 }
 
-function parseGenericThemeFile(content) {
-    const trimmed = content.replace(/^\uFEFF/, '').trim();
-    if (!trimmed) return { doc: null, items: [] };
-    return detectContentFormat(
-        trimmed,
-        parseGenericThemeCss,
-        parseGenericThemeJson,
-        parseGenericThemeXml,
-        (r) => r.items.length > 0
-    );
+function parseGenericThemeFile(content, fileName) {
+    // The BOM is swapped for a space rather than stripped so that source offsets
+    // recorded by the parsers still line up with the original file content.
+    const text = content.replace(/^\uFEFF/, ' ');
+    if (!text.trim()) return { items: [] };
+    const result =
+        parseTerminalTextTheme(text, fileName) ||
+        (/\.css$/i.test(fileName) ? parseGenericThemeCss(text) : null) ||
+        parsePreprocessorTheme(text, fileName) ||
+        detectContentFormat(
+            text,
+            parseGenericThemeCss,
+            parseGenericThemeJson,
+            parseGenericThemeXml,
+            (r) => r.items.length > 0
+        );
+    if (result.format) result.source = content;
+    return result;
 }
 
 function parseGenericThemeXml(xml) {
-    const doc = new DOMParser().parseFromString(xml, 'application/xml');
-    if (doc.documentElement.nodeName === 'parsererror') {
-        console.error('Theme XML error:', doc.documentElement.textContent);
+    let root;
+    try {
+        root = parseXmlSource(xml);
+    } catch (e) {
+        console.error('Theme XML error:', e.message);
         alert('Error: Invalid Theme XML.');
-        return { doc: null, items: [] };
+        return { items: [] };
     }
+    if (root.name === 'plist') {
+        const plist = readPlist(root, xml);
+        return isItermColors(plist) ? parseItermColors(plist) : parsePlistTheme(plist);
+    }
+    if (isIclsScheme(root)) return parseIclsTheme(root);
     const items = [];
 
     function traverse(node) {
-        if (node.nodeType !== Node.ELEMENT_NODE) return;
-
-        if (node.attributes) {
-            for (let i = 0; i < node.attributes.length; i++) {
-                const attr = node.attributes[i];
-                const parsedColor = parseColorString(attr.value);
-                if (parsedColor) {
-                    const styleNameAttribute = node.getAttribute('name');
-                    const itemName = styleNameAttribute
-                        ? `${styleNameAttribute}[${attr.name}]`
-                        : `${node.nodeName}[${attr.name}]_idx${items.length}`;
-                    items.push({
-                        id: `gte-item-${items.length}`,
-                        name: itemName,
-                        currentColorHex: parsedColor.hex,
-                        colorInfo: parsedColor,
-                        el: node,
-                        attributeName: attr.name,
-                        isColor: true
-                    });
-                }
+        node.attributes.forEach((attr) => {
+            if (attr.name === 'name') return;
+            const parsedColor = parseColorString(attr.value);
+            const styleNameAttribute = node.attributes.find((a) => a.name === 'name')?.value;
+            const itemName = styleNameAttribute
+                ? `${styleNameAttribute}[${attr.name}]`
+                : `${node.name}[${attr.name}]_idx${items.length}`;
+            if (parsedColor && !isProseColorWord(parsedColor, attr.name)) {
+                pushThemeItem(items, itemName, parsedColor, [attr.start, attr.end], { sourceQuote: attr.quote });
+            } else {
+                pushCompoundItems(items, itemName, xml.slice(attr.start, attr.end), attr.start);
             }
+        });
+
+        const elementChildren = node.children.filter((child) => child.type === 'element');
+        if (elementChildren.length > 0) {
+            elementChildren.forEach(traverse);
+            return;
+        }
+        const text = xmlElementText(node, xml);
+        if (!text?.value) return;
+        const parsedColor = /^(?:#|rgb|hsl|oklch|[0-9a-fA-F]{3,})/.test(text.value) && parseColorString(text.value);
+        if (parsedColor) {
+            pushThemeItem(items, `${node.name}[_text_]`, parsedColor, [text.start, text.end], {
+                sourceQuote: text.quote
+            });
+        } else {
+            pushCompoundItems(items, `${node.name}[_text_]`, xml.slice(text.start, text.end), text.start);
         }
+    }
 
-        let hasElementChildren = false;
-        for (let i = 0; i < node.childNodes.length; i++) {
-            if (node.childNodes[i].nodeType === Node.ELEMENT_NODE) {
-                hasElementChildren = true;
-                break;
-            }
+    traverse(root);
+    return { items, format: 'xml' };
+}
+
+function pushThemeItem(items, name, parsedColor, sourceRange, extra = {}) {
+    items.push({
+        id: `gte-item-${items.length}`,
+        name,
+        currentColorHex: parsedColor.hex,
+        colorInfo: parsedColor,
+        sourceRange,
+        sourceValue: parsedColor.originalString,
+        isColor: true,
+        ...extra
+    });
+}
+
+// Each color inside a compound value becomes its own item whose range covers just
+// that literal, so export rewrites only the part that was edited.
+function pushCompoundItems(items, name, rawValue, rawStart, extra = {}, inDeclaration = false) {
+    const literals = findCompoundColors(rawValue, inDeclaration);
+    const label = /gradient\(/i.test(rawValue) ? 'stop' : 'color';
+    literals.forEach(({ start, end, parsedColor }, i) => {
+        const itemName = literals.length > 1 || label === 'stop' ? `${name} (${label} ${i + 1})` : name;
+        pushThemeItem(items, itemName, parsedColor, [rawStart + start, rawStart + end], {
+            ...extra,
+            sourceEmbedded: true
+        });
+    });
+    return literals.length > 0;
+}
+
+function pushReferenceItem(items, name, reference, sourceRange, extra = {}) {
+    items.push({
+        id: `gte-item-${items.length}`,
+        name,
+        currentColorHex: null,
+        colorInfo: null,
+        sourceRange,
+        sourceValue: reference.raw,
+        reference,
+        isColor: true,
+        ...extra
+    });
+}
+
+// Recognises values that point at another item instead of holding a color. The
+// target is given in the same form the format's parser uses for item names.
+function parseColorReference(value, format) {
+    const cssVar = /^var\(\s*(--[\w-]+)\s*(?:,\s*(.+?))?\s*\)$/i.exec(value);
+    if (cssVar) {
+        return { raw: value, target: format === 'css' ? cssVar[1].slice(2) : cssVar[1], fallback: cssVar[2] || null };
+    }
+    if (format === 'scss') {
+        const variable = /^\$[\w-]+$/.exec(value);
+        if (variable) return { raw: value, target: variable[0], fallback: null };
+        const mapGet = /^map[-.]get\(\s*(\$[\w-]+)\s*,\s*(['"]?)([\w-]+)\2\s*\)$/.exec(value);
+        if (mapGet) return { raw: value, target: `${mapGet[1]}.${mapGet[3]}`, fallback: null };
+    }
+    if (format === 'less' && /^@[\w-]+$/.test(value)) return { raw: value, target: value, fallback: null };
+    if (format === 'xresources' && /^\w+$/.test(value)) return { raw: value, target: value, fallback: null };
+    return null;
+}
+
+// Fills in the color of every reference item from the item it points to (or its
+// fallback) and drops references that never reach a color.
+function resolveThemeReferences(items) {
+    const byName = new Map();
+    items.forEach((item) => {
+        if (!byName.has(item.name)) byName.set(item.name, item);
+    });
+
+    function resolve(item, seen) {
+        if (item.colorInfo || seen.has(item)) return item.colorInfo;
+        seen.add(item);
+        const target = byName.get(item.reference.target);
+        const colorInfo =
+            (target && resolve(target, seen)) ||
+            (item.reference.fallback ? parseColorString(item.reference.fallback) : null);
+        if (colorInfo) {
+            item.colorInfo = { ...colorInfo };
+            item.currentColorHex = colorInfo.hex;
         }
+        return item.colorInfo;
+    }
 
-        if (hasElementChildren) {
-            for (let i = 0; i < node.childNodes.length; i++) {
-                traverse(node.childNodes[i]);
-            }
-        } else {
-            const textContent = node.textContent.trim();
-            if (textContent && /^(?:#|rgb|hsl|oklch|[0-9a-fA-F]{3,})/.test(textContent)) {
-                const parsedColor = parseColorString(textContent);
-                if (parsedColor) {
-                    items.push({
-                        id: `gte-item-${items.length}`,
-                        name: `${node.nodeName}[_text_]`,
-                        currentColorHex: parsedColor.hex,
-                        colorInfo: parsedColor,
-                        el: node,
-                        attributeName: null,
-                        isColor: true
-                    });
-                }
+    items.forEach((item) => {
+        if (item.reference) resolve(item, new Set());
+    });
+    return items.filter((item) => item.colorInfo);
+}
+
+function walkPlistStrings(node, path, onString) {
+    if (node.type === 'dict') {
+        node.entries.forEach(({ key, value }) => {
+            walkPlistStrings(value, path ? `${path} > ${key}` : key, onString);
+        });
+    } else if (node.type === 'array') {
+        node.items.forEach((entry, i) => {
+            let label = `${path}[${i}]`;
+            const settings = plistDictGet(entry, 'settings');
+            if (settings?.type === 'dict') {
+                const title = plistDictGet(entry, 'name')?.value || plistDictGet(entry, 'scope')?.value;
+                if (title) label += ` (${title})`;
+                walkPlistStrings(settings, label, onString);
+            } else {
+                walkPlistStrings(entry, label, onString);
             }
-        }
+        });
+    } else if (node.type === 'string' && node.start !== null) {
+        onString(path, node);
     }
+}
+
+function parsePlistTheme(plist) {
+    const items = [];
+    if (!plist) return { items, format: 'plist' };
+
+    walkPlistStrings(plist, '', (name, node) => {
+        const parsedColor = parseColorString(node.value);
+        if (parsedColor) {
+            pushThemeItem(items, name, parsedColor, [node.start, node.end], { sourceQuote: node.quote });
+        }
+    });
 
-    if (doc.documentElement) traverse(doc.documentElement);
-    return { doc, items };
+    return { items, format: 'plist' };
 }
 
-function parseGenericThemeCss(css) {
+const iclsColorOptions = new Set(['FOREGROUND', 'BACKGROUND', 'EFFECT_COLOR', 'ERROR_STRIPE_COLOR']);
+
+function isIclsScheme(root) {
+    return (
+        root.name === 'scheme' && root.children.some((child) => child.name === 'colors' || child.name === 'attributes')
+    );
+}
+
+function parseIclsTheme(root) {
     const items = [];
-    const re = /--([^:]+):\s*([^;]+?)\s*;/gi;
-    let match;
-    while ((match = re.exec(css)) !== null) {
-        const name = match[1].trim();
-        const colorStr = match[2].trim();
-        const parsedColor = parseColorString(colorStr);
+    const getAttr = (node, name) => node.attributes.find((attr) => attr.name === name);
+    const childElements = (node, name) => node.children.filter((child) => child.name === name);
+
+    // JetBrains writes bare lowercase hex and drops leading zeros, so "ff" means #0000ff.
+    function addColor(name, valueAttr, group) {
+        if (!name || !valueAttr || !/^[0-9a-f]{1,8}$/i.test(valueAttr.value)) return;
+        const raw = valueAttr.value;
+        const parsedColor = parseColorString(raw.length < 6 ? raw.padStart(6, '0') : raw);
         if (parsedColor) {
-            items.push({
-                id: `gte-item-${items.length}`,
-                name: name,
-                currentColorHex: parsedColor.hex,
-                colorInfo: parsedColor,
-                el: null,
-                attributeName: null,
-                isColor: true
+            pushThemeItem(items, name, parsedColor, [valueAttr.start, valueAttr.end], {
+                group,
+                sourceQuote: valueAttr.quote,
+                sourceTrimsZeros: raw.length < 6
             });
         }
     }
-    return { doc: null, items };
-}
 
-function parseGenericThemeJson(json) {
-    const data = safeParseJson(json, 'Error: Invalid Theme JSON.');
-    if (!data) return { doc: null, items: [], data: null };
+    childElements(root, 'colors').forEach((colors) => {
+        childElements(colors, 'option').forEach((option) => {
+            addColor(getAttr(option, 'name')?.value, getAttr(option, 'value'), 'Colors');
+        });
+    });
+
+    childElements(root, 'attributes').forEach((attributes) => {
+        childElements(attributes, 'option').forEach((option) => {
+            const key = getAttr(option, 'name')?.value;
+            if (!key) return;
+            childElements(option, 'value').forEach((value) => {
+                childElements(value, 'option').forEach((style) => {
+                    const styleName = getAttr(style, 'name')?.value;
+                    if (iclsColorOptions.has(styleName)) {
+                        addColor(`${key}.${styleName}`, getAttr(style, 'value'), 'Attributes');
+                    }
+                });
+            });
+        });
+    });
+
+    return { items, format: 'icls' };
+}
 
+// One declaration of each custom property keeps the bare name that var() references
+// point at, preferring one outside at-rules. Redeclarations are named by their
+// at-rules and selector so they never take over those references; other
+// declarations are named `selector → property`.
+function parseGenericThemeCss(css) {
     const items = [];
+    const declarations = parseCssDeclarations(css);
+    const primaryDeclarations = new Map();
+    declarations.forEach((declaration) => {
+        if (!declaration.property.startsWith('--')) return;
+        const primary = primaryDeclarations.get(declaration.property);
+        if (!primary || (primary.atRules.length > 0 && declaration.atRules.length === 0)) {
+            primaryDeclarations.set(declaration.property, declaration);
+        }
+    });
+    const usedNames = new Map();
+    const uniqueName = (name) => {
+        const count = (usedNames.get(name) || 0) + 1;
+        usedNames.set(name, count);
+        return count > 1 ? `${name} #${count}` : name;
+    };
 
-    walkJsonValues(data, (key, value) => {
-        const parsedColor = parseColorString(value);
+    declarations.forEach((declaration) => {
+        const { selector, atRules, property, value, start, end } = declaration;
+        const isCustomProperty = property.startsWith('--');
+        let name = selector ? `${selector} → ${property}` : property;
+        if (primaryDeclarations.get(property) === declaration) {
+            name = property.slice(2);
+        } else if (isCustomProperty) {
+            name = uniqueName([...atRules, name].join(' '));
+        }
+        const extra = atRules.length > 0 ? { group: atRules.join(' ') } : {};
+        let parsedColor = parseColorString(value);
+        if (parsedColor && !isCustomProperty && parsedColor.inputFormat === 'hex' && !value.startsWith('#')) {
+            parsedColor = null;
+        }
+        const reference = !parsedColor && parseColorReference(value, 'css');
         if (parsedColor) {
-            items.push({
-                id: `gte-item-${items.length}`,
-                name: key || 'Unnamed',
-                currentColorHex: parsedColor.hex,
-                colorInfo: parsedColor,
-                el: null,
-                attributeName: null,
-                isColor: true
-            });
+            pushThemeItem(items, name, parsedColor, [start, end], extra);
+        } else if (reference) {
+            pushReferenceItem(items, name, reference, [start, end], extra);
+        } else {
+            pushCompoundItems(items, name, value, start, extra, true);
         }
     });
+    return { items: resolveThemeReferences(items), format: 'css' };
+}
+
+// Ordered so that more specific prefixes win over the general ones after them.
+const vsCodeColorAreas = [
+    ['editorGroup', 'Editor Groups'],
+    ['editorSuggestWidget', 'Editor Widgets'],
+    ['editorHoverWidget', 'Editor Widgets'],
+    ['editorWidget', 'Editor Widgets'],
+    ['diffEditor', 'Diff Editor'],
+    ['editor', 'Editor'],
+    ['tab', 'Tabs'],
+    ['sideBar', 'Side Bar'],
+    ['activityBar', 'Activity Bar'],
+    ['statusBar', 'Status Bar'],
+    ['titleBar', 'Title Bar'],
+    ['menu', 'Menus'],
+    ['panel', 'Panel'],
+    ['terminal', 'Terminal'],
+    ['list', 'Lists & Trees'],
+    ['tree', 'Lists & Trees'],
+    ['input', 'Inputs'],
+    ['dropdown', 'Inputs'],
+    ['checkbox', 'Inputs'],
+    ['button', 'Buttons'],
+    ['badge', 'Badges'],
+    ['scrollbar', 'Scrollbars'],
+    ['minimap', 'Minimap'],
+    ['gitDecoration', 'Source Control'],
+    ['scm', 'Source Control'],
+    ['notification', 'Notifications'],
+    ['breadcrumb', 'Breadcrumbs'],
+    ['debug', 'Debug'],
+    ['peekView', 'Peek View'],
+    ['merge', 'Merge Conflicts'],
+    ['symbolIcon', 'Symbol Icons'],
+    ['quickInput', 'Quick Input'],
+    ['pickerGroup', 'Quick Input'],
+    ['settings', 'Settings Editor'],
+    ['text', 'Text'],
+    ['testing', 'Testing'],
+    ['charts', 'Charts']
+];
+
+function getVsCodeColorArea(key) {
+    const dot = key.indexOf('.');
+    if (dot === -1) return 'Base Colors';
+    const segment = key.slice(0, dot);
+    return vsCodeColorAreas.find(([prefix]) => segment.startsWith(prefix))?.[1] || 'Other';
+}
+
+function isVsCodeTheme(root) {
+    if (root.type !== 'object') return false;
+    if (jsoncGet(root, 'tokenColors')?.type === 'array') return true;
+    if (jsoncGet(root, 'semanticTokenColors')?.type === 'object') return true;
+    if (/vscode/i.test(jsoncGet(root, '$schema')?.value || '')) return true;
+    const colors = jsoncGet(root, 'colors');
+    return colors?.type === 'object' && colors.properties.some(({ key }) => key.startsWith('editor.'));
+}
+
+function parseVsCodeTheme(root) {
+    const items = [];
+
+    function addColor(name, node, group) {
+        if (node?.type !== 'string') return;
+        const parsedColor = parseColorString(node.value);
+        if (parsedColor) pushThemeItem(items, name, parsedColor, [node.start, node.end], { group });
+    }
+
+    const colors = jsoncGet(root, 'colors');
+    if (colors?.type === 'object') {
+        colors.properties.forEach(({ key, value }) => {
+            addColor(key, value, getVsCodeColorArea(key));
+        });
+    }
+
+    const tokenColors = jsoncGet(root, 'tokenColors');
+    if (tokenColors?.type === 'array') {
+        tokenColors.items.forEach((entry, i) => {
+            const settings = jsoncGet(entry, 'settings');
+            if (settings?.type !== 'object') return;
+            const scope = jsoncGet(entry, 'scope');
+            const scopes =
+                scope?.type === 'array'
+                    ? scope.items.map((s) => s.value).join(', ')
+                    : scope?.value
+                          ?.split(',')
+                          .map((s) => s.trim())
+                          .join(', ');
+            const title = scopes || jsoncGet(entry, 'name')?.value;
+            const label = title ? `tokenColors[${i}] (${title})` : `tokenColors[${i}]`;
+            settings.properties.forEach(({ key, value }) => {
+                addColor(`${label} > ${key}`, value, 'Token Colors');
+            });
+        });
+    }
+
+    const semanticTokenColors = jsoncGet(root, 'semanticTokenColors');
+    if (semanticTokenColors?.type === 'object') {
+        semanticTokenColors.properties.forEach(({ key, value }) => {
+            const label = `semanticTokenColors > ${key}`;
+            if (value.type === 'object') {
+                value.properties.forEach((style) => {
+                    addColor(`${label} > ${style.key}`, style.value, 'Semantic Token Colors');
+                });
+            } else {
+                addColor(label, value, 'Semantic Token Colors');
+            }
+        });
+    }
 
-    return { doc: null, items, data };
+    return { items, format: 'json', dialect: 'vscode' };
 }
 
-function setJsonValueByPath(obj, path, value) {
-    const parts = path.split('.');
-    let current = obj;
-    for (let i = 0; i < parts.length - 1; i++) {
-        const part = parts[i];
-        const arrayMatch = part.match(/^(.+)\[(\d+)\]$/);
-        if (arrayMatch) {
-            current = current[arrayMatch[1]][parseInt(arrayMatch[2], 10)];
+function walkScssMap(text, start, end, prefix, onEntry) {
+    const entries = [];
+    let depth = 0;
+    let entryStart = start + 1;
+    for (let i = start + 1; i < end; i++) {
+        const ch = text[i];
+        if (ch === '(') {
+            depth++;
+        } else if (ch === ')') {
+            if (depth === 0) {
+                entries.push([entryStart, i]);
+                break;
+            }
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            entries.push([entryStart, i]);
+            entryStart = i + 1;
+        }
+    }
+    entries.forEach(([entryFrom, entryTo]) => {
+        const key = /^\s*(['"]?)([\w-]+)\1\s*:\s*/.exec(text.slice(entryFrom, entryTo));
+        if (!key) return;
+        const valueStart = entryFrom + key[0].length;
+        let valueEnd = entryTo;
+        while (valueEnd > valueStart && /\s/.test(text[valueEnd - 1])) valueEnd--;
+        const name = `${prefix}.${key[2]}`;
+        if (text[valueStart] === '(') {
+            walkScssMap(text, valueStart, valueEnd, name, onEntry);
         } else {
-            current = current[part];
+            onEntry(name, valueStart, valueEnd);
         }
-        if (current == null) return false;
+    });
+}
+
+function parsePreprocessorTheme(text, fileName = '') {
+    const lowerName = fileName.toLowerCase();
+    let format = null;
+    if (/\.s[ac]ss$/.test(lowerName) || (!lowerName.endsWith('.less') && /^\s*\$[\w-]+\s*:/m.test(text))) {
+        format = 'scss';
+    } else if (lowerName.endsWith('.less') || /^\s*@[\w-]+\s*:/m.test(text)) {
+        format = 'less';
     }
-    const last = parts[parts.length - 1];
-    const arrayMatch = last.match(/^(.+)\[(\d+)\]$/);
-    if (arrayMatch) {
-        if (!current[arrayMatch[1]]) return false;
-        current[arrayMatch[1]][parseInt(arrayMatch[2], 10)] = value;
-    } else {
-        current[last] = value;
+    if (!format) return null;
+
+    const masked = maskSourceComments(text, true);
+    const items = [];
+    const addColor = (name, start, end) => {
+        const value = text.slice(start, end);
+        const parsedColor = parseColorString(value);
+        const reference = !parsedColor && parseColorReference(value, format);
+        if (parsedColor) {
+            pushThemeItem(items, name, parsedColor, [start, end]);
+        } else if (reference) {
+            pushReferenceItem(items, name, reference, [start, end]);
+        }
+    };
+
+    const sigil = format === 'scss' ? '\\$' : '@';
+    const re = new RegExp(`(?<![\\w$@-])(--[\\w-]+|${sigil}[\\w-]+)\\s*:\\s*([^;{}]+?)\\s*;`, 'dg');
+    let match;
+    while ((match = re.exec(masked)) !== null) {
+        const name = match[1];
+        const [valueStart, valueEnd] = match.indices[2];
+        if (format === 'scss' && masked[valueStart] === '(') {
+            walkScssMap(masked, valueStart, valueEnd, name, addColor);
+            continue;
+        }
+        // `!default` and `!global` stay in the source; only the color in front of them is edited.
+        const flags = /(?:\s*!(?:default|global|important))+$/.exec(match[2]);
+        addColor(name, valueStart, flags ? valueStart + flags.index : valueEnd);
     }
-    return true;
+    const resolved = resolveThemeReferences(items);
+    return resolved.length > 0 ? { items: resolved, format } : null;
+}
+
+function isDesignTokenFile(node) {
+    if (node?.type !== 'object') return false;
+    return node.properties.some(({ key, value }) => key === '$value' || isDesignTokenFile(value));
 }
 
-function downloadFile(content, mimeType, ext) {
+// W3C Design Tokens: only `$type: color` tokens are listed (the type may be set on a
+// parent group). Aliases such as "{color.brand.500}" show their resolved color but
+// keep pointing at their target until the user breaks the link.
+function parseDesignTokens(root) {
+    const tokens = new Map();
+    const aliasPattern = /^\{([^{}]+)\}$/;
+
+    (function collect(node, path, inheritedType) {
+        if (node.type !== 'object') return;
+        const type = jsoncGet(node, '$type')?.value ?? inheritedType;
+        const value = jsoncGet(node, '$value');
+        if (value) {
+            tokens.set(path.join('.'), { type, value });
+            return;
+        }
+        node.properties.forEach(({ key, value: child }) => {
+            if (!key.startsWith('$')) collect(child, [...path, key], type);
+        });
+    })(root, [], undefined);
+
+    function resolve(path, seen = new Set()) {
+        const token = tokens.get(path);
+        if (token?.value.type !== 'string' || seen.has(path)) return null;
+        seen.add(path);
+        const alias = aliasPattern.exec(token.value.value);
+        return alias ? resolve(alias[1], seen) : parseColorString(token.value.value);
+    }
+
+    const items = [];
+    tokens.forEach((token, path) => {
+        if (token.value.type !== 'string') return;
+        const alias = aliasPattern.exec(token.value.value);
+        const type = token.type ?? (alias ? tokens.get(alias[1])?.type : undefined);
+        if (type !== 'color') return;
+        const parsedColor = resolve(path);
+        if (!parsedColor) return;
+        pushThemeItem(items, path, parsedColor, [token.value.start, token.value.end], {
+            group: path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : undefined,
+            reference: alias ? { raw: token.value.value, target: alias[1] } : null,
+            sourceValue: alias ? token.value.value : parsedColor.originalString
+        });
+    });
+    return { items, format: 'json', dialect: 'design-tokens' };
+}
+
+function parseGenericThemeJson(json) {
+    const root = safeParseJson(json, 'Error: Invalid Theme JSON.');
+    if (!root) return { items: [] };
+    if (isDesignTokenFile(root)) return parseDesignTokens(root);
+    if (isVsCodeTheme(root)) return parseVsCodeTheme(root);
+    if (isWindowsTerminalTheme(root)) return parseWindowsTerminalTheme(root);
+
+    const items = [];
+
+    walkJsonValues(root, (key, value, node) => {
+        const parsedColor =
+            node.type === 'string'
+                ? parseColorString(value)
+                : parseColorString(json.slice(node.start, node.end), node.type === 'number' ? 'integer' : undefined);
+        if (parsedColor && !isProseColorWord(parsedColor, key.slice(key.lastIndexOf('.') + 1))) {
+            pushThemeItem(items, key || 'Unnamed', parsedColor, [node.start, node.end]);
+        } else if (node.type === 'string') {
+            pushCompoundItems(items, key || 'Unnamed', json.slice(node.start + 1, node.end - 1), node.start + 1);
+        }
+    });
+
+    return { items, format: 'json' };
+}
+
+function downloadFile(content, mimeType, ext, baseName = appState.originalThemeFileName) {
     const now = new Date();
     const pad = (n) => String(n).padStart(2, '0');
     const y = now.getFullYear().toString().slice(-2);
@@ -284,7 +715,7 @@ function downloadFile(content, mimeType, ext) {
     const d = pad(now.getDate());
     const H = pad(now.getHours());
     const M = pad(now.getMinutes());
-    const filename = `${appState.originalThemeFileName}.${y}${m}${d}${H}${M}${ext}`;
+    const filename = `${baseName}.${y}${m}${d}${H}${M}${ext}`;
     const blob = new Blob([content], { type: mimeType });
     const a = document.createElement('a');
     a.href = URL.createObjectURL(blob);
@@ -297,19 +728,105 @@ function downloadFile(content, mimeType, ext) {
     }, 100);
 }
 
-function exportTheme() {
-    if (appState.themeFileDoc) {
-        const serializer = new XMLSerializer();
-        const xmlString = serializer.serializeToString(appState.themeFileDoc);
-        downloadFile(xmlString, 'application/xml;charset=utf-8', '.xml');
-    } else if (appState.themeFileJson) {
-        const modifiedData = JSON.parse(JSON.stringify(appState.themeFileJson));
-        appState.themeItems.forEach((item) => {
-            if (item.isColor && item.colorInfo) {
-                setJsonValueByPath(modifiedData, item.name, item.colorInfo.originalString);
-            }
+// Notations that are written as JSON numbers rather than strings.
+const jsonNumericFormats = new Set(['array', 'integer']);
+
+const themeWriters = {
+    css: { mimeType: 'text/css;charset=utf-8', ext: '.css', encode: (value) => value },
+    json: {
+        mimeType: 'application/json;charset=utf-8',
+        ext: '.json',
+        encode: (value, item) => (jsonNumericFormats.has(item.colorInfo.inputFormat) ? value : JSON.stringify(value))
+    },
+    xml: {
+        mimeType: 'application/xml;charset=utf-8',
+        ext: '.xml',
+        encode: (value, item) => (item.sourceQuote === null ? value : escapeXml(value, item.sourceQuote))
+    },
+    icls: {
+        mimeType: 'application/xml;charset=utf-8',
+        ext: '.icls',
+        encode: (value, item) => {
+            const hex = (parseColorString(value)?.hex ?? value.replace(/^#/, '')).toLowerCase();
+            return escapeXml(item.sourceTrimsZeros ? hex.replace(/^0+(?=.)/, '') : hex, item.sourceQuote);
+        }
+    },
+    plist: {
+        mimeType: 'application/x-plist;charset=utf-8',
+        ext: '.tmTheme',
+        encode: (value, item) => (item.sourceQuote === null ? value : escapeXml(value, item.sourceQuote))
+    },
+    scss: { mimeType: 'text/x-scss;charset=utf-8', ext: null, encode: (value) => value },
+    less: { mimeType: 'text/x-less;charset=utf-8', ext: null, encode: (value) => value },
+    itermcolors: {
+        mimeType: 'application/x-plist;charset=utf-8',
+        ext: '.itermcolors',
+        edits: (item) => itermComponentEdits(item)
+    },
+    'alacritty-toml': { mimeType: 'application/toml;charset=utf-8', ext: '.toml', encode: (value) => value },
+    'alacritty-yaml': { mimeType: 'application/yaml;charset=utf-8', ext: null, encode: (value) => value },
+    kitty: { mimeType: 'text/plain;charset=utf-8', ext: null, encode: (value) => value },
+    xresources: { mimeType: 'text/plain;charset=utf-8', ext: null, encode: (value) => value }
+};
+
+function applySourceEdits(source, edits) {
+    let output = '';
+    let cursor = 0;
+    [...edits]
+        .sort((a, b) => a.start - b.start)
+        .forEach((edit) => {
+            output += source.slice(cursor, edit.start) + edit.text;
+            cursor = edit.end;
+        });
+    return output + source.slice(cursor);
+}
+
+/**
+ * @returns {Object[]} Items whose edited value serializeThemeSource writes back into the source.
+ */
+function getExportChanges() {
+    const writer = themeWriters[appState.themeFormat];
+    if (!writer) return [];
+    return appState.themeItems.filter(
+        (item) =>
+            item.isColor &&
+            !item.reference &&
+            item.colorInfo.originalString !== item.sourceValue &&
+            (writer.edits || item.sourceRange)
+    );
+}
+
+/**
+ * The source edits that write back the changed items.
+ * @param {Set<Object>} excluded Changed items to leave as they were imported.
+ * @returns {{start: number, end: number, text: string}[]}
+ */
+function getSourceEdits(excluded = new Set()) {
+    const writer = themeWriters[appState.themeFormat];
+    return getExportChanges()
+        .filter((item) => !excluded.has(item))
+        .flatMap((item) => {
+            if (writer.edits) return writer.edits(item);
+            return [
+                {
+                    start: item.sourceRange[0],
+                    end: item.sourceRange[1],
+                    text: item.sourceEmbedded
+                        ? item.colorInfo.originalString
+                        : writer.encode(item.colorInfo.originalString, item)
+                }
+            ];
         });
-        downloadFile(JSON.stringify(modifiedData, null, '\t'), 'application/json;charset=utf-8', '.json');
+}
+
+function serializeThemeSource(excluded) {
+    return applySourceEdits(appState.themeSource, getSourceEdits(excluded));
+}
+
+function exportTheme(excluded) {
+    const writer = themeWriters[appState.themeFormat];
+    if (appState.themeSource !== null && writer) {
+        downloadFile(serializeThemeSource(excluded), writer.mimeType, writer.ext ?? appState.originalThemeFileExt);
     } else {
         alert('No theme file loaded to export.');
     }
@@ -318,3 +835,7 @@ function exportTheme() {
 window.parsePalette = parsePalette;
 window.parseGenericThemeFile = parseGenericThemeFile;
 window.exportTheme = exportTheme;
+window.getExportChanges = getExportChanges;
+window.serializeThemeSource = serializeThemeSource;
+window.getSourceEdits = getSourceEdits;
+window.applySourceEdits = applySourceEdits;
@@ -0,0 +1,370 @@
+/** Goat Theme Editor - Palette Files
+ * @file GoatThemeEditorPaletteIO.js
+ * @description Readers for palette formats handed over from design tools: GIMP
+ * .gpl, Paint.NET .txt, Adobe .ase and .aco, and Procreate .swatches.
+ * Entries keep their swatch name and, where the format has one, a group name.
+ * Also writes the palette back out as XML, CSS, JSON, .gpl or .ase.
+ * @license MIT
+ * @author Chase McGoat
+ */
+
+const binaryPaletteExtensions = ['.ase', '.aco', '.swatches'];
+
+function isBinaryPaletteFile(fileName) {
+    const lowerName = fileName.toLowerCase();
+    return binaryPaletteExtensions.some((ext) => lowerName.endsWith(ext));
+}
+
+function rgbToPaletteHex({ r, g, b }) {
+    return `${toHexByte(r)}${toHexByte(g)}${toHexByte(b)}`.toUpperCase();
+}
+
+function hsvToRgb(h, s, v) {
+    const f = (n) => {
+        const k = (n + h / 60) % 6;
+        return (v - v * s * Math.max(0, Math.min(k, 4 - k, 1))) * 255;
+    };
+    return { r: f(5), g: f(3), b: f(1) };
+}
+
+// --- GIMP (.gpl) ---
+
+function parsePaletteGpl(text) {
+    const palette = [];
+    let group;
+    text.split(/\r?\n/).forEach((line) => {
+        const header = line.match(/^Name:\s*(.*?)\s*$/);
+        if (header) {
+            group = header[1] || undefined;
+            return;
+        }
+        const entry = line.match(/^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})(?:\s+(.*?))?\s*$/);
+        if (!entry) return;
+        const hex = rgbToPaletteHex({ r: Number(entry[1]), g: Number(entry[2]), b: Number(entry[3]) });
+        palette.push({ name: entry[4] || `#${hex}`, hex, group });
+    });
+    return palette;
+}
+
+// --- Paint.NET (.txt, one AARRGGBB value per line) ---
+
+function isPaintNetPalette(text) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim() && !line.trim().startsWith(';'));
+    return lines.length > 0 && lines.every((line) => /^\s*[0-9a-f]{8}\s*$/i.test(line));
+}
+
+function parsePalettePaintNet(text) {
+    return text
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => /^[0-9a-f]{8}$/i.test(line))
+        .map((line) => {
+            const hex = line.substring(2).toUpperCase();
+            return { name: `#${hex}`, hex };
+        });
+}
+
+// --- Adobe Swatch Exchange (.ase) ---
+
+function readAscii(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+        text += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return text;
+}
+
+function readUtf16(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        const code = view.getUint16(offset + i * 2);
+        if (code === 0) break;
+        text += String.fromCharCode(code);
+    }
+    return text;
+}
+
+function parsePaletteAse(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 12 || readAscii(view, 0, 4) !== 'ASEF') {
+        throw new Error('Not an Adobe Swatch Exchange file.');
+    }
+    const blockCount = view.getUint32(8);
+    const palette = [];
+    let offset = 12;
+    let group;
+    for (let i = 0; i < blockCount && offset + 6 <= buffer.byteLength; i++) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const body = offset + 6;
+        offset = body + length;
+        if (type === 0xc002) {
+            group = undefined;
+            continue;
+        }
+        const nameLength = length >= 2 ? view.getUint16(body) : 0;
+        const name = readUtf16(view, body + 2, nameLength);
+        if (type === 0xc001) {
+            group = name || undefined;
+            continue;
+        }
+        if (type !== 0x0001) continue;
+        const modelOffset = body + 2 + nameLength * 2;
+        const model = readAscii(view, modelOffset, 4).trim();
+        const values = [0, 1, 2, 3].map((n) =>
+            modelOffset + 4 + n * 4 + 4 <= offset ? view.getFloat32(modelOffset + 4 + n * 4) : 0
+        );
+        let rgb = null;
+        if (model === 'RGB') {
+            rgb = { r: values[0] * 255, g: values[1] * 255, b: values[2] * 255 };
+        } else if (model === 'CMYK') {
+            const [c, m, y, k] = values;
+            rgb = { r: 255 * (1 - c) * (1 - k), g: 255 * (1 - m) * (1 - k), b: 255 * (1 - y) * (1 - k) };
+        } else if (model === 'LAB') {
+            rgb = labToRgb(values[0] * 100, values[1], values[2]);
+        } else if (model === 'Gray') {
+            rgb = { r: values[0] * 255, g: values[0] * 255, b: values[0] * 255 };
+        }
+        if (rgb) {
+            const hex = rgbToPaletteHex(rgb);
+            palette.push({ name: name || `#${hex}`, hex, group });
+        }
+    }
+    return palette;
+}
+
+// --- Photoshop swatches (.aco) ---
+// A version 1 section is usually followed by a version 2 section that repeats the
+// colors with names; the named section is preferred when present.
+
+function parsePaletteAco(buffer) {
+    const view = new DataView(buffer);
+    let offset = 0;
+    let palette = [];
+    while (offset + 4 <= buffer.byteLength) {
+        const version = view.getUint16(offset);
+        const count = view.getUint16(offset + 2);
+        if (version !== 1 && version !== 2) break;
+        offset += 4;
+        const section = [];
+        for (let i = 0; i < count && offset + 10 <= buffer.byteLength; i++) {
+            const space = view.getUint16(offset);
+            const w = [2, 4, 6, 8].map((n) => view.getUint16(offset + n));
+            const signed = [2, 4, 6, 8].map((n) => view.getInt16(offset + n));
+            offset += 10;
+            let name = '';
+            if (version === 2) {
+                const nameLength = view.getUint32(offset);
+                name = readUtf16(view, offset + 4, nameLength);
+                offset += 4 + nameLength * 2;
+            }
+            let rgb = null;
+            if (space === 0) {
+                rgb = { r: w[0] / 257, g: w[1] / 257, b: w[2] / 257 };
+            } else if (space === 1) {
+                rgb = hsvToRgb((w[0] / 65535) * 360, w[1] / 65535, w[2] / 65535);
+            } else if (space === 2) {
+                const [c, m, y, k] = w.map((v) => 1 - v / 65535);
+                rgb = { r: 255 * (1 - c) * (1 - k), g: 255 * (1 - m) * (1 - k), b: 255 * (1 - y) * (1 - k) };
+            } else if (space === 7) {
+                rgb = labToRgb(w[0] / 100, signed[1] / 100, signed[2] / 100);
+            } else if (space === 8) {
+                const v = 255 - (w[0] / 10000) * 255;
+                rgb = { r: v, g: v, b: v };
+            }
+            if (rgb) {
+                const hex = rgbToPaletteHex(rgb);
+                section.push({ name: name || `#${hex}`, hex });
+            }
+        }
+        if (version === 2 || palette.length === 0) palette = section;
+    }
+    return palette;
+}
+
+// --- Procreate (.swatches: a zip holding Swatches.json) ---
+
+async function readZipEntry(buffer, entryName) {
+    const view = new DataView(buffer);
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('Not a zip archive.');
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    for (let i = 0; i < entryCount; i++) {
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localHeader = view.getUint32(offset + 42, true);
+        const name = new TextDecoder().decode(new Uint8Array(buffer, offset + 46, nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+        if (name.split('/').pop() !== entryName) continue;
+
+        const dataStart =
+            localHeader + 30 + view.getUint16(localHeader + 26, true) + view.getUint16(localHeader + 28, true);
+        const data = new Uint8Array(buffer, dataStart, compressedSize);
+        if (method === 0) return new TextDecoder().decode(data);
+        if (method !== 8) throw new Error(`Unsupported zip compression method ${method}.`);
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    }
+    throw new Error(`${entryName} not found in archive.`);
+}
+
+function parsePaletteProcreateJson(json) {
+    const data = JSON.parse(json);
+    const palette = [];
+    (Array.isArray(data) ? data : [data]).forEach((set) => {
+        (set?.swatches || []).forEach((swatch, i) => {
+            if (!swatch || typeof swatch.hue !== 'number') return;
+            const hex = rgbToPaletteHex(hsvToRgb(swatch.hue * 360, swatch.saturation, swatch.brightness));
+            palette.push({ name: `${set.name || 'Swatch'} ${i + 1}`, hex, group: set.name || undefined });
+        });
+    });
+    return palette;
+}
+
+async function parseBinaryPalette(buffer, fileName) {
+    const lowerName = fileName.toLowerCase();
+    if (lowerName.endsWith('.ase')) return parsePaletteAse(buffer);
+    if (lowerName.endsWith('.aco')) return parsePaletteAco(buffer);
+    return parsePaletteProcreateJson(await readZipEntry(buffer, 'Swatches.json'));
+}
+
+// --- Palette export ---
+
+function uniquePaletteNames(palette, toKey) {
+    const used = new Set();
+    return palette.map((c) => {
+        const base = toKey(c.name || `#${c.hex}`) || c.hex;
+        let key = base;
+        for (let n = 2; used.has(key); n++) key = `${base}-${n}`;
+        used.add(key);
+        return key;
+    });
+}
+
+function writePaletteXml(palette) {
+    const lines = palette.map((c) => {
+        const group = c.group ? ` group="${escapeXml(c.group, '"')}"` : '';
+        return `    <myColor name="${escapeXml(c.name || `#${c.hex}`, '"')}" hexvalue="#${c.hex}"${group}/>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<palette>\n${lines.join('\n')}\n</palette>\n`;
+}
+
+function writePaletteCss(palette) {
+    const names = uniquePaletteNames(palette, (name) =>
+        name
+            .trim()
+            .replace(/^#/, '')
+            .replace(/[^\w-]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+    );
+    const lines = palette.map((c, i) => `    --${names[i]}: #${c.hex};`);
+    return `:root {\n${lines.join('\n')}\n}\n`;
+}
+
+function writePaletteJson(palette) {
+    const names = uniquePaletteNames(palette, (name) => name);
+    const data = Object.fromEntries(palette.map((c, i) => [names[i], `#${c.hex}`]));
+    return `${JSON.stringify(data, null, 4)}\n`;
+}
+
+function writePaletteGpl(palette) {
+    const lines = palette.map((c) => {
+        const [r, g, b] = [0, 2, 4].map((i) => String(parseInt(c.hex.substring(i, i + 2), 16)).padStart(3));
+        return `${r} ${g} ${b}\t${c.name || `#${c.hex}`}`;
+    });
+    return `GIMP Palette\nName: ${appState.originalThemeFileName}\nColumns: 8\n#\n${lines.join('\n')}\n`;
+}
+
+function writeAscii(view, offset, text) {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+}
+
+// Consecutive colors sharing a group are wrapped in one group block.
+function writePaletteAse(palette) {
+    const blocks = [];
+    const nameBytes = (name) => 2 + (name.length + 1) * 2;
+    const writeName = (view, offset, name) => {
+        view.setUint16(offset, name.length + 1);
+        for (let i = 0; i < name.length; i++) view.setUint16(offset + 2 + i * 2, name.charCodeAt(i));
+        return offset + nameBytes(name);
+    };
+    const addBlock = (type, length, fill) => {
+        const view = new DataView(new ArrayBuffer(6 + length));
+        view.setUint16(0, type);
+        view.setUint32(2, length);
+        fill?.(view, 6);
+        blocks.push(view.buffer);
+    };
+    let group;
+    palette.forEach((c) => {
+        if (c.group !== group) {
+            if (group) addBlock(0xc002, 0);
+            group = c.group;
+            if (group) addBlock(0xc001, nameBytes(group), (view, offset) => writeName(view, offset, group));
+        }
+        const name = c.name || `#${c.hex}`;
+        addBlock(0x0001, nameBytes(name) + 4 + 12 + 2, (view, start) => {
+            let offset = writeName(view, start, name);
+            writeAscii(view, offset, 'RGB ');
+            offset += 4;
+            for (let n = 0; n < 3; n++) {
+                view.setFloat32(offset + n * 4, parseInt(c.hex.substring(n * 2, n * 2 + 2), 16) / 255);
+            }
+            view.setUint16(offset + 12, 2);
+        });
+    });
+    if (group) addBlock(0xc002, 0);
+
+    const header = new DataView(new ArrayBuffer(12));
+    writeAscii(header, 0, 'ASEF');
+    header.setUint16(4, 1);
+    header.setUint32(8, blocks.length);
+    const bytes = new Uint8Array(12 + blocks.reduce((sum, block) => sum + block.byteLength, 0));
+    let offset = 0;
+    [header.buffer, ...blocks].forEach((block) => {
+        bytes.set(new Uint8Array(block), offset);
+        offset += block.byteLength;
+    });
+    return bytes.buffer;
+}
+
+const paletteWriters = {
+    xml: { mimeType: 'application/xml;charset=utf-8', ext: '.xml', write: writePaletteXml },
+    css: { mimeType: 'text/css;charset=utf-8', ext: '.css', write: writePaletteCss },
+    json: { mimeType: 'application/json;charset=utf-8', ext: '.json', write: writePaletteJson },
+    gpl: { mimeType: 'text/plain;charset=utf-8', ext: '.gpl', write: writePaletteGpl },
+    ase: { mimeType: 'application/octet-stream', ext: '.ase', write: writePaletteAse }
+};
+
+function exportPalette(format) {
+    const writer = paletteWriters[format];
+    if (!writer) return;
+    if (appState.palette.length === 0) {
+        alert('The palette is empty.');
+        return;
+    }
+    downloadFile(
+        writer.write(appState.palette),
+        writer.mimeType,
+        writer.ext,
+        `${appState.originalThemeFileName}.palette`
+    );
+}
+
+window.isBinaryPaletteFile = isBinaryPaletteFile;
+window.parseBinaryPalette = parseBinaryPalette;
+window.parsePaletteGpl = parsePaletteGpl;
+window.isPaintNetPalette = isPaintNetPalette;
+window.parsePalettePaintNet = parsePalettePaintNet;
+window.parsePaletteProcreateJson = parsePaletteProcreateJson;
+window.exportPalette = exportPalette;
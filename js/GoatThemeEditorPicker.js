@@ -0,0 +1,286 @@
+/** Goat Theme Editor - Color Picker
+ * @file GoatThemeEditorPicker.js
+ * @description An in-page color picker with HSL and OKLCH sliders, an alpha
+ * slider, a text field that accepts any supported notation and a strip of
+ * recently picked colors. Only one picker is open at a time.
+ * @license MIT
+ * @author Chase McGoat
+ */
+
+const hueStops = Array.from({ length: 13 }, (_, i) => i * 30);
+
+const colorPickerModes = {
+    hsl: {
+        label: 'HSL',
+        channels: [
+            { key: 'h', label: 'H', max: 360, step: 1 },
+            { key: 's', label: 'S', max: 100, step: 1 },
+            { key: 'l', label: 'L', max: 100, step: 1 }
+        ],
+        fromColor: (c) => {
+            const { h, s, l } = c.toHsl();
+            return { h, s, l };
+        },
+        toColor: ({ h, s, l }) => colordx(`hsl(${h} ${s}% ${l}%)`),
+        gradients: ({ h, s, l }) => [
+            hueStops.map((hue) => `hsl(${hue} ${s}% ${l}%)`),
+            [`hsl(${h} 0% ${l}%)`, `hsl(${h} 100% ${l}%)`],
+            ['#000000', `hsl(${h} ${s}% 50%)`, '#ffffff']
+        ]
+    },
+    oklch: {
+        label: 'OKLCH',
+        channels: [
+            { key: 'l', label: 'L', max: 1, step: 0.001 },
+            { key: 'c', label: 'C', max: 0.4, step: 0.001 },
+            { key: 'h', label: 'H', max: 360, step: 1 }
+        ],
+        fromColor: (c) => labToLch(rgbToOklab(c.toRgb())),
+        toColor: ({ l, c, h }) => {
+            const lab = lchToLab(l, c, h);
+            return colordx(oklabToRgb(lab.l, lab.a, lab.b));
+        },
+        gradients: ({ l, c, h }) => [
+            [`oklch(0 ${c} ${h})`, `oklch(1 ${c} ${h})`],
+            [`oklch(${l} 0 ${h})`, `oklch(${l} 0.4 ${h})`],
+            hueStops.map((hue) => `oklch(${l} ${c} ${hue})`)
+        ]
+    }
+};
+
+const colorPickerModeStorageKey = 'themeEditorPickerMode';
+const recentColorsStorageKey = 'themeEditorRecentColors';
+const maxRecentColors = 16;
+
+const colorPickerState = {
+    element: null,
+    parts: null,
+    options: null,
+    mode: localStorage.getItem(colorPickerModeStorageKey) === 'oklch' ? 'oklch' : 'hsl',
+    channels: null,
+    alpha: 1,
+    initialHex: ''
+};
+
+function loadRecentColors() {
+    try {
+        return JSON.parse(localStorage.getItem(recentColorsStorageKey)) || [];
+    } catch {
+        return [];
+    }
+}
+
+function addRecentColor(hex) {
+    const recent = [hex, ...loadRecentColors().filter((entry) => entry !== hex)].slice(0, maxRecentColors);
+    try {
+        localStorage.setItem(recentColorsStorageKey, JSON.stringify(recent));
+    } catch (_) {}
+}
+
+function getPickerColor() {
+    const { mode, channels, alpha } = colorPickerState;
+    return colorPickerModes[mode].toColor(channels).alpha(colorPickerState.options.alpha ? alpha : 1);
+}
+
+function getPickerHex() {
+    return getPickerColor().toHex().toUpperCase();
+}
+
+function createPickerSlider(label, onInput) {
+    const row = document.createElement('label');
+    row.className = 'color-picker-row';
+    const name = document.createElement('span');
+    name.className = 'color-picker-label';
+    name.textContent = label;
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'color-picker-track';
+    slider.min = '0';
+    slider.oninput = () => onInput(parseFloat(slider.value));
+    const value = document.createElement('span');
+    value.className = 'color-picker-value';
+    row.append(name, slider, value);
+    return { row, name, slider, value };
+}
+
+function buildColorPicker() {
+    const picker = document.createElement('div');
+    picker.className = 'color-picker';
+    picker.hidden = true;
+
+    const modes = document.createElement('div');
+    modes.className = 'color-picker-modes';
+    Object.entries(colorPickerModes).forEach(([id, mode]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'color-picker-mode';
+        btn.dataset.mode = id;
+        btn.textContent = mode.label;
+        btn.onclick = () => setPickerMode(id);
+        modes.appendChild(btn);
+    });
+    picker.appendChild(modes);
+
+    const sliders = [0, 1, 2].map((index) =>
+        createPickerSlider('', (value) => {
+            const { key } = colorPickerModes[colorPickerState.mode].channels[index];
+            colorPickerState.channels[key] = value;
+            refreshColorPicker(true);
+        })
+    );
+    const alphaSlider = createPickerSlider('A', (value) => {
+        colorPickerState.alpha = value;
+        refreshColorPicker(true);
+    });
+    alphaSlider.slider.max = '1';
+    alphaSlider.slider.step = '0.01';
+    alphaSlider.row.classList.add('color-picker-alpha');
+    [...sliders, alphaSlider].forEach(({ row }) => {
+        picker.appendChild(row);
+    });
+
+    const textRow = document.createElement('div');
+    textRow.className = 'color-picker-row';
+    const preview = document.createElement('span');
+    preview.className = 'color-picker-preview';
+    const text = document.createElement('input');
+    text.type = 'text';
+    text.className = 'color-picker-text';
+    text.spellcheck = false;
+    text.oninput = () => {
+        const colorInfo = parseColorString(text.value);
+        if (!colorInfo) return;
+        setPickerColor(colorInfo.instance);
+        refreshColorPicker(true, false);
+    };
+    text.onkeydown = (e) => {
+        if (e.key === 'Enter') closeColorPicker(true);
+    };
+    textRow.append(preview, text);
+    picker.appendChild(textRow);
+
+    const recent = document.createElement('div');
+    recent.className = 'color-picker-recent';
+    picker.appendChild(recent);
+
+    document.body.appendChild(picker);
+    colorPickerState.element = picker;
+    colorPickerState.parts = { modes, sliders, alphaSlider, preview, text, recent };
+
+    document.addEventListener('mousedown', (e) => {
+        if (!picker.hidden && !picker.contains(e.target)) closeColorPicker(true);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (!picker.hidden && e.key === 'Escape') closeColorPicker(false);
+    });
+    return picker;
+}
+
+function setPickerColor(c) {
+    colorPickerState.channels = colorPickerModes[colorPickerState.mode].fromColor(c);
+    colorPickerState.alpha = c.alpha();
+}
+
+function setPickerMode(mode) {
+    const color = getPickerColor();
+    colorPickerState.mode = mode;
+    try {
+        localStorage.setItem(colorPickerModeStorageKey, mode);
+    } catch (_) {}
+    setPickerColor(color);
+    refreshColorPicker(false);
+}
+
+function renderRecentColors() {
+    const { recent } = colorPickerState.parts;
+    recent.innerHTML = '';
+    loadRecentColors().forEach((hex) => {
+        const swatch = document.createElement('button');
+        swatch.type = 'button';
+        swatch.className = 'color-picker-recent-swatch';
+        swatch.style.setProperty('--swatch-color', hex);
+        swatch.title = hex;
+        swatch.onclick = () => {
+            setPickerColor(colordx(hex));
+            refreshColorPicker(true);
+        };
+        recent.appendChild(swatch);
+    });
+}
+
+function refreshColorPicker(emit, updateText = true) {
+    const { mode, channels, alpha, parts, options } = colorPickerState;
+    const modeDef = colorPickerModes[mode];
+    const gradients = modeDef.gradients(channels);
+    parts.modes.querySelectorAll('button').forEach((btn) => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    modeDef.channels.forEach((channel, index) => {
+        const { name, slider, value } = parts.sliders[index];
+        const decimals = channel.step < 1 ? 3 : 0;
+        name.textContent = channel.label;
+        slider.max = String(channel.max);
+        slider.step = String(channel.step);
+        slider.value = String(channels[channel.key]);
+        slider.style.background = `linear-gradient(to right, ${gradients[index].join(', ')})`;
+        value.textContent = formatNumber(channels[channel.key], decimals);
+    });
+
+    const hex = getPickerHex();
+    const opaqueHex = hex.substring(0, 7);
+    parts.alphaSlider.row.hidden = !options.alpha;
+    parts.alphaSlider.slider.value = String(alpha);
+    parts.alphaSlider.slider.style.setProperty('--track-color', opaqueHex);
+    parts.alphaSlider.value.textContent = formatAlpha(alpha);
+    parts.preview.style.setProperty('--swatch-color', hex);
+    if (updateText) parts.text.value = hex;
+
+    if (emit) options.onInput?.(hex);
+}
+
+/**
+ * Opens the picker next to `anchor`.
+ * @param {HTMLElement} anchor
+ * @param {string} color Initial color in any notation parseColorString reads.
+ * @param {{alpha?: boolean, onInput?: function(string), onChange?: function(string), onCancel?: function()}} options
+ * `onInput` fires while the color changes, `onChange` once the picker closes on a new color
+ * and `onCancel` when Escape abandons the color or it ends where it started, so anything
+ * `onInput` did can be undone. Colors are passed as `#RRGGBB`, or
+ * `#RRGGBBAA` when translucent.
+ */
+function openColorPicker(anchor, color, options = {}) {
+    const picker = colorPickerState.element || buildColorPicker();
+    if (!picker.hidden) closeColorPicker(true);
+    colorPickerState.options = { alpha: true, ...options };
+    setPickerColor(parseColorString(color)?.instance || colordx('#000000'));
+    colorPickerState.initialHex = getPickerHex();
+    renderRecentColors();
+    refreshColorPicker(false);
+
+    picker.hidden = false;
+    const rect = anchor.getBoundingClientRect();
+    const { width, height } = picker.getBoundingClientRect();
+    picker.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - width - 8))}px`;
+    const below = rect.bottom + 4;
+    picker.style.top = `${below + height > window.innerHeight ? Math.max(8, rect.top - height - 4) : below}px`;
+}
+
+/**
+ * Closes the picker; `commit` false restores the color it was opened with.
+ */
+function closeColorPicker(commit) {
+    const picker = colorPickerState.element;
+    if (!picker || picker.hidden) return;
+    picker.hidden = true;
+    const { options, initialHex } = colorPickerState;
+    const hex = getPickerHex();
+    if (!commit || hex === initialHex) {
+        options.onCancel?.();
+        return;
+    }
+    addRecentColor(hex);
+    options.onChange?.(hex);
+}
+
+window.openColorPicker = openColorPicker;
+window.closeColorPicker = closeColorPicker;
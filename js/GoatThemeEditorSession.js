@@ -0,0 +1,215 @@
+/** Goat Theme Editor - Sessions
+ * @file GoatThemeEditorSession.js
+ * @description Autosaves the working session (original file, edited item values,
+ * palette and sort mode) to IndexedDB and restores it after a reload. Items are
+ * keyed by id, which parsing the same content assigns in the same order.
+ * @license MIT
+ * @author Chase McGoat
+ */
+
+const sessionDbName = 'goatThemeEditor';
+const sessionStoreName = 'sessions';
+const maxSavedSessions = 20;
+const sessionSaveDelay = 500;
+let sessionDbPromise = null;
+let sessionSaveTimer = null;
+
+function openSessionDb() {
+    if (!sessionDbPromise) {
+        sessionDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(sessionDbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(sessionStoreName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return sessionDbPromise;
+}
+
+function withSessionStore(mode, action) {
+    return openSessionDb().then(
+        (db) =>
+            new Promise((resolve, reject) => {
+                const request = action(db.transaction(sessionStoreName, mode).objectStore(sessionStoreName));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            })
+    );
+}
+
+/**
+ * @returns {Promise<Object[]>} Saved sessions, most recently updated first.
+ */
+function listSessions() {
+    return withSessionStore('readonly', (store) => store.getAll()).then((sessions) =>
+        sessions.sort((a, b) => b.updatedAt - a.updatedAt)
+    );
+}
+
+function deleteSession(id) {
+    return withSessionStore('readwrite', (store) => store.delete(id));
+}
+
+function startSession() {
+    appState.sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    appState.sessionPaletteBaseline = null;
+}
+
+function paletteEntryKey({ name, hex }) {
+    return `${hex} ${name}`;
+}
+
+// Only edited items are stored; the rest come back from the original content. The
+// palette is compared with the one the session started from (the first history entry).
+function buildSessionRecord() {
+    const itemValues = {};
+    appState.themeItems.forEach((item) => {
+        if (item.isColor && !item.reference && item.colorInfo?.originalString !== item.sourceValue) {
+            itemValues[item.id] = item.colorInfo.originalString;
+        }
+    });
+    if (!appState.sessionPaletteBaseline) {
+        appState.sessionPaletteBaseline = (appState.history[0]?.state.palette ?? []).map(paletteEntryKey).sort();
+    }
+    const paletteKeys = appState.palette.map(paletteEntryKey).sort();
+    const baseline = appState.sessionPaletteBaseline;
+    return {
+        id: appState.sessionId,
+        fileName: appState.themeFileFullName || 'Palette',
+        content: appState.themeFileContent,
+        itemValues,
+        changeCount: Object.keys(itemValues).length,
+        palette: appState.palette.map(({ name, hex, group }) => ({ name, hex, group })),
+        paletteBaseline: baseline,
+        paletteChanged: paletteKeys.length !== baseline.length || paletteKeys.some((key, i) => key !== baseline[i]),
+        paletteSortMode: appState.paletteSortMode,
+        exported: false,
+        updatedAt: Date.now()
+    };
+}
+
+function saveSession() {
+    if (appState.themeFileContent === null && appState.palette.length === 0) return Promise.resolve();
+    if (!appState.sessionId) startSession();
+    const record = buildSessionRecord();
+    return withSessionStore('readwrite', (store) => store.put(record))
+        .then(listSessions)
+        .then((sessions) => Promise.all(sessions.slice(maxSavedSessions).map((session) => deleteSession(session.id))))
+        .catch((error) => console.error('Could not save the session:', error));
+}
+
+function scheduleSessionSave() {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(saveSession, sessionSaveDelay);
+}
+
+/**
+ * Flags the current session as exported, so startup no longer offers it.
+ */
+function markSessionExported() {
+    clearTimeout(sessionSaveTimer);
+    const record = appState.sessionId && buildSessionRecord();
+    if (!record) return;
+    record.exported = true;
+    withSessionStore('readwrite', (store) => store.put(record)).catch((error) =>
+        console.error('Could not save the session:', error)
+    );
+}
+
+function applySessionValues(itemValues) {
+    const itemsById = new Map(appState.themeItems.map((item) => [item.id, item]));
+    const changed = [];
+    Object.entries(itemValues).forEach(([id, value]) => {
+        const item = itemsById.get(id);
+        const colorInfo = item && parseColorString(value, item.colorInfo?.inputFormat);
+        if (!colorInfo) return;
+        colorInfo.originalString = value;
+        item.reference = null;
+        item.colorInfo = colorInfo;
+        item.currentColorHex = colorInfo.hex;
+        changed.push(item);
+    });
+    changed.forEach((item) => {
+        syncReferencingItems(item);
+    });
+}
+
+function restoreSession(session) {
+    clearTimeout(sessionSaveTimer);
+    if (session.content === null) {
+        appState.themeFileContent = null;
+        appState.themeFileFullName = '';
+        appState.themeItems = [];
+        appState.themeSource = null;
+        appState.themeFormat = null;
+        appState.themeDialect = null;
+        filterThemeItems();
+    } else {
+        loadThemeContent(session.content, session.fileName);
+        applySessionValues(session.itemValues);
+    }
+    appState.sessionId = session.id;
+    appState.sessionPaletteBaseline = session.paletteBaseline ?? null;
+    appState.palette = session.palette;
+    appState.selectedPaletteColor = null;
+    appState.paletteSortMode = session.paletteSortMode || appState.paletteSortMode;
+    document.querySelectorAll('.sort-toggle .sort-btn').forEach((b) => {
+        b.classList.toggle('active', b.dataset.sort === appState.paletteSortMode);
+    });
+    renderPalette();
+    filterThemeItems();
+    resetHistory(`Restored ${session.fileName}`);
+}
+
+function showSessionsDialog(sessions, message) {
+    const dialog = document.getElementById('sessionsDialog');
+    const messageEl = document.getElementById('sessionsMessage');
+    if (!dialog || !messageEl) return;
+    messageEl.textContent = message;
+    const render = (list) =>
+        renderSessionsList(list, {
+            currentId: appState.sessionId,
+            onOpen: (session) => {
+                dialog.close();
+                restoreSession(session);
+            },
+            onDelete: (session) => {
+                deleteSession(session.id)
+                    .then(() => render(list.filter((entry) => entry !== session)))
+                    .catch((error) => alert(`Could not delete the session: ${error.message}`));
+            }
+        });
+    render(sessions);
+    if (!dialog.open) dialog.showModal();
+}
+
+function openRecentSessions() {
+    listSessions()
+        .then((sessions) => showSessionsDialog(sessions, sessions.length ? '' : 'No saved sessions yet.'))
+        .catch((error) => alert(`Could not read saved sessions: ${error.message}`));
+}
+
+/**
+ * Offers to restore sessions that were edited but never exported.
+ */
+function offerSessionRestore() {
+    if (typeof indexedDB === 'undefined') return;
+    listSessions()
+        .then((sessions) => {
+            const unfinished = sessions.filter(
+                (session) => !session.exported && (session.changeCount > 0 || session.paletteChanged)
+            );
+            if (unfinished.length > 0) {
+                showSessionsDialog(unfinished, 'These sessions have edits that were never exported.');
+            }
+        })
+        .catch((error) => console.error('Could not read saved sessions:', error));
+}
+
+window.scheduleSessionSave = scheduleSessionSave;
+window.startSession = startSession;
+window.markSessionExported = markSessionExported;
+window.openRecentSessions = openRecentSessions;
+window.offerSessionRestore = offerSessionRestore;
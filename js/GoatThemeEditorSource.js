@@ -0,0 +1,496 @@
+/** Goat Theme Editor - Source Readers
+ * @file GoatThemeEditorSource.js
+ * @description Tolerant readers for theme source text that record where every
+ * value sits in the original file, so exports can patch values in place.
+ * @license MIT
+ * @author Chase McGoat
+ */
+
+// --- JSONC ---
+// Nodes are { type, start, end, value } for scalars, with `properties` ({ key, value })
+// for objects and `items` for arrays. Ranges cover the raw token, quotes included.
+
+function parseJsonc(text) {
+    let pos = 0;
+
+    function fail(message) {
+        throw new SyntaxError(`${message} at offset ${pos}`);
+    }
+
+    function skipTrivia() {
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === '\uFEFF') {
+                pos++;
+            } else if (ch === '/' && text[pos + 1] === '/') {
+                const lineEnd = text.indexOf('\n', pos);
+                pos = lineEnd === -1 ? text.length : lineEnd + 1;
+            } else if (ch === '/' && text[pos + 1] === '*') {
+                const commentEnd = text.indexOf('*/', pos + 2);
+                if (commentEnd === -1) fail('Unterminated comment');
+                pos = commentEnd + 2;
+            } else {
+                break;
+            }
+        }
+    }
+
+    function parseString() {
+        const start = pos;
+        pos++;
+        while (pos < text.length && text[pos] !== '"') {
+            if (text[pos] === '\n') fail('Unterminated string');
+            pos += text[pos] === '\\' ? 2 : 1;
+        }
+        if (pos >= text.length) fail('Unterminated string');
+        pos++;
+        return { type: 'string', start, end: pos, value: JSON.parse(text.slice(start, pos)) };
+    }
+
+    function parseObject() {
+        const start = pos;
+        const properties = [];
+        pos++;
+        for (;;) {
+            skipTrivia();
+            if (text[pos] === '}') break;
+            if (text[pos] !== '"') fail('Expected property name');
+            const key = parseString();
+            skipTrivia();
+            if (text[pos] !== ':') fail('Expected ":"');
+            pos++;
+            properties.push({ key: key.value, value: parseValue() });
+            skipTrivia();
+            if (text[pos] === ',') {
+                pos++;
+            } else if (text[pos] !== '}') {
+                fail('Expected "," or "}"');
+            }
+        }
+        pos++;
+        return { type: 'object', start, end: pos, properties };
+    }
+
+    function parseArray() {
+        const start = pos;
+        const items = [];
+        pos++;
+        for (;;) {
+            skipTrivia();
+            if (text[pos] === ']') break;
+            items.push(parseValue());
+            skipTrivia();
+            if (text[pos] === ',') {
+                pos++;
+            } else if (text[pos] !== ']') {
+                fail('Expected "," or "]"');
+            }
+        }
+        pos++;
+        return { type: 'array', start, end: pos, items };
+    }
+
+    function parseValue() {
+        skipTrivia();
+        const ch = text[pos];
+        if (ch === '{') return parseObject();
+        if (ch === '[') return parseArray();
+        if (ch === '"') return parseString();
+        const start = pos;
+        const literal = /true|false|null|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+        literal.lastIndex = pos;
+        const match = literal.exec(text);
+        if (!match) fail('Unexpected token');
+        pos = literal.lastIndex;
+        const value = JSON.parse(match[0]);
+        const type = value === null ? 'null' : typeof value;
+        return { type, start, end: pos, value };
+    }
+
+    const root = parseValue();
+    skipTrivia();
+    if (pos < text.length) fail('Unexpected content after JSON value');
+    return root;
+}
+
+function jsoncGet(node, key) {
+    return node?.type === 'object' ? node.properties.find((property) => property.key === key)?.value : undefined;
+}
+
+// --- XML ---
+// Elements are { type: 'element', name, attributes, children, parent }. Attribute ranges
+// cover the value between the quotes; text and CDATA ranges cover their raw content.
+
+const xmlEntities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXmlEntities(raw) {
+    return raw.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, ref) => {
+        if (ref[0] === '#') {
+            const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return xmlEntities[ref] ?? entity;
+    });
+}
+
+function escapeXml(value, quote) {
+    let escaped = value.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    if (quote === '"') escaped = escaped.replace(/"/g, '&quot;');
+    else if (quote === "'") escaped = escaped.replace(/'/g, '&apos;');
+    else escaped = escaped.replace(/>/g, '&gt;');
+    return escaped;
+}
+
+function parseXmlSource(text) {
+    let pos = 0;
+    const document = { type: 'document', name: '#document', children: [], parent: null };
+    let current = document;
+
+    function fail(message) {
+        throw new SyntaxError(`${message} at offset ${pos}`);
+    }
+
+    function skipPast(terminator, what) {
+        const end = text.indexOf(terminator, pos);
+        if (end === -1) fail(`Unterminated ${what}`);
+        pos = end + terminator.length;
+        return end;
+    }
+
+    function skipDoctype() {
+        let depth = 0;
+        while (pos < text.length) {
+            const ch = text[pos++];
+            if (ch === '[') depth++;
+            else if (ch === ']') depth--;
+            else if (ch === '>' && depth === 0) return;
+        }
+        fail('Unterminated DOCTYPE');
+    }
+
+    function readName() {
+        const re = /[^\s/>=]+/y;
+        re.lastIndex = pos;
+        const match = re.exec(text);
+        if (!match) fail('Expected name');
+        pos = re.lastIndex;
+        return match[0];
+    }
+
+    function skipSpace() {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    }
+
+    function readStartTag() {
+        pos++;
+        const element = { type: 'element', name: readName(), attributes: [], children: [], parent: current };
+        for (;;) {
+            skipSpace();
+            if (text.startsWith('/>', pos)) {
+                pos += 2;
+                current.children.push(element);
+                return;
+            }
+            if (text[pos] === '>') {
+                pos++;
+                current.children.push(element);
+                current = element;
+                return;
+            }
+            if (pos >= text.length) fail(`Unterminated tag <${element.name}>`);
+            const name = readName();
+            skipSpace();
+            if (text[pos] !== '=') fail(`Expected "=" after attribute ${name}`);
+            pos++;
+            skipSpace();
+            const quote = text[pos];
+            if (quote !== '"' && quote !== "'") fail(`Expected quoted value for attribute ${name}`);
+            const start = pos + 1;
+            pos = start;
+            const end = skipPast(quote, 'attribute value');
+            element.attributes.push({ name, value: decodeXmlEntities(text.slice(start, end)), start, end, quote });
+        }
+    }
+
+    while (pos < text.length) {
+        if (text.startsWith('<!--', pos)) {
+            skipPast('-->', 'comment');
+        } else if (text.startsWith('<![CDATA[', pos)) {
+            const start = pos + 9;
+            pos = start;
+            const end = skipPast(']]>', 'CDATA section');
+            current.children.push({ type: 'cdata', value: text.slice(start, end), start, end, parent: current });
+        } else if (text.startsWith('<?', pos)) {
+            skipPast('?>', 'processing instruction');
+        } else if (text.startsWith('<!', pos)) {
+            skipDoctype();
+        } else if (text.startsWith('</', pos)) {
+            pos += 2;
+            const name = readName();
+            if (name !== current.name) fail(`Mismatched closing tag </${name}>`);
+            skipSpace();
+            if (text[pos] !== '>') fail(`Malformed closing tag </${name}>`);
+            pos++;
+            current = current.parent;
+        } else if (text[pos] === '<') {
+            readStartTag();
+        } else {
+            const start = pos;
+            const next = text.indexOf('<', pos);
+            pos = next === -1 ? text.length : next;
+            const raw = text.slice(start, pos);
+            if (current !== document) {
+                current.children.push({
+                    type: 'text',
+                    value: decodeXmlEntities(raw),
+                    start,
+                    end: pos,
+                    parent: current
+                });
+            } else if (raw.trim()) {
+                fail('Text outside the root element');
+            }
+        }
+    }
+    if (current !== document) fail(`Unclosed element <${current.name}>`);
+    const root = document.children.find((child) => child.type === 'element');
+    if (!root) fail('No root element');
+    return root;
+}
+
+function xmlElementText(element, source) {
+    if (element.children.length !== 1) return null;
+    const textNode = element.children[0];
+    if (textNode.type !== 'text' && textNode.type !== 'cdata') return null;
+    const raw = source.slice(textNode.start, textNode.end);
+    return {
+        value: textNode.value.trim(),
+        start: textNode.start + (raw.length - raw.trimStart().length),
+        end: textNode.end - (raw.length - raw.trimEnd().length),
+        quote: textNode.type === 'cdata' ? null : ''
+    };
+}
+
+// --- Property lists ---
+// Converts a parsed <plist> element into { type: 'dict', entries: [{ key, value }] },
+// { type: 'array', items } or scalar nodes that keep the text range of their element.
+
+function readPlist(element, source) {
+    if (element.name === 'plist') {
+        const first = element.children.find((child) => child.type === 'element');
+        return first ? readPlist(first, source) : null;
+    }
+    const elementChildren = element.children.filter((child) => child.type === 'element');
+    switch (element.name) {
+        case 'dict': {
+            const entries = [];
+            for (let i = 0; i < elementChildren.length - 1; i += 2) {
+                if (elementChildren[i].name !== 'key') continue;
+                const value = readPlist(elementChildren[i + 1], source);
+                if (value) entries.push({ key: xmlElementText(elementChildren[i], source)?.value ?? '', value });
+            }
+            return { type: 'dict', entries };
+        }
+        case 'array':
+            return { type: 'array', items: elementChildren.map((child) => readPlist(child, source)).filter(Boolean) };
+        case 'true':
+        case 'false':
+            return { type: 'boolean', value: element.name === 'true' };
+        default: {
+            const text = xmlElementText(element, source);
+            return text ? { type: element.name, ...text } : { type: element.name, value: '', start: null, end: null };
+        }
+    }
+}
+
+function plistDictGet(dict, key) {
+    return dict?.type === 'dict' ? dict.entries.find((entry) => entry.key === key)?.value : undefined;
+}
+
+// --- Stylesheets ---
+
+// Blanks out comments while keeping every other character (and so every offset) in
+// place. Strings and url() are skipped so that "//" inside them is left alone.
+function maskSourceComments(text, lineComments) {
+    return text.replace(
+        /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|url\([^)]*\)|\/\*[\s\S]*?(?:\*\/|$)|\/\/[^\n]*/gi,
+        (match) => {
+            if (match[0] !== '/' || (match[1] === '/' && !lineComments)) return match;
+            return match.replace(/[^\n]/g, ' ');
+        }
+    );
+}
+
+function nestCssSelector(parent, child) {
+    if (!parent) return child;
+    if (child.includes('&')) return child.replaceAll('&', parent);
+    return `${parent} ${child}`;
+}
+
+/**
+ * Lists every declaration in a stylesheet, including those inside at-rules and
+ * nested rules. Value ranges exclude surrounding whitespace and `!important`.
+ * @returns {{selector: string, atRules: string[], property: string, value: string, start: number, end: number}[]}
+ */
+function parseCssDeclarations(text) {
+    const masked = maskSourceComments(text, false);
+    const declarations = [];
+    const stack = [];
+    let segmentStart = 0;
+    let depth = 0;
+
+    const context = () => {
+        const atRules = stack.filter((block) => block.atRule).map((block) => block.prelude);
+        const selector = stack.reduce((parent, block) => (block.atRule ? parent : block.selector), '');
+        return { selector, atRules };
+    };
+
+    const readDeclaration = (end) => {
+        const segment = masked.slice(segmentStart, end);
+        const colon = segment.indexOf(':');
+        if (colon === -1) return;
+        const property = segment.slice(0, colon).trim();
+        if (!/^-{0,2}[a-zA-Z_][\w-]*$/.test(property)) return;
+        let valueStart = segmentStart + colon + 1;
+        let valueEnd = end;
+        while (valueStart < valueEnd && /\s/.test(masked[valueStart])) valueStart++;
+        const important = /\s*!\s*important\s*$/i.exec(masked.slice(valueStart, valueEnd));
+        if (important) valueEnd -= important[0].length;
+        while (valueEnd > valueStart && /\s/.test(masked[valueEnd - 1])) valueEnd--;
+        if (valueEnd <= valueStart) return;
+        declarations.push({
+            ...context(),
+            property,
+            value: text.slice(valueStart, valueEnd),
+            start: valueStart,
+            end: valueEnd
+        });
+    };
+
+    for (let i = 0; i < masked.length; i++) {
+        const ch = masked[i];
+        if (ch === '"' || ch === "'") {
+            i++;
+            while (i < masked.length && masked[i] !== ch && masked[i] !== '\n') {
+                if (masked[i] === '\\') i++;
+                i++;
+            }
+        } else if (ch === '(') {
+            depth++;
+        } else if (ch === ')') {
+            depth = Math.max(0, depth - 1);
+        } else if (depth > 0) {
+            // Semicolons and braces inside functions or url() belong to the value.
+        } else if (ch === '{') {
+            const prelude = masked.slice(segmentStart, i).trim().replace(/\s+/g, ' ');
+            const atRule = prelude.startsWith('@');
+            stack.push({ prelude, atRule, selector: atRule ? null : nestCssSelector(context().selector, prelude) });
+            segmentStart = i + 1;
+        } else if (ch === ';' || ch === '}') {
+            if (!masked.slice(segmentStart, i).trim().startsWith('@')) readDeclaration(i);
+            if (ch === '}') stack.pop();
+            segmentStart = i + 1;
+        }
+    }
+    return declarations;
+}
+
+// --- TOML / YAML ---
+// Line-based scanners that only report string scalars, which is all a color scheme
+// needs. Callbacks receive (path, value, start, end) with the range inside any quotes.
+
+function forEachSourceLine(text, onLine) {
+    const re = /[^\n]*/g;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        onLine(match[0], match.index);
+        if (re.lastIndex >= text.length) break;
+        re.lastIndex++;
+    }
+}
+
+function unquoteKey(key) {
+    return key.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+function readQuotedValue(line, offset) {
+    const quote = line[offset];
+    let end = offset + 1;
+    while (end < line.length && line[end] !== quote) {
+        end += quote === '"' && line[end] === '\\' ? 2 : 1;
+    }
+    return end < line.length ? { value: line.slice(offset + 1, end), start: offset + 1, end } : null;
+}
+
+function scanTomlValues(text, onValue) {
+    let table = [];
+    const arrayTableCounts = new Map();
+    forEachSourceLine(text, (line, lineStart) => {
+        const header = line.match(/^\s*(\[\[?)\s*([^\]]+?)\s*\]\]?\s*(?:#.*)?$/);
+        if (header) {
+            table = header[2].split('.').map((part) => unquoteKey(part.trim()));
+            if (header[1] === '[[') {
+                const tableKey = table.join('.');
+                const index = arrayTableCounts.get(tableKey) ?? 0;
+                arrayTableCounts.set(tableKey, index + 1);
+                table[table.length - 1] += `[${index}]`;
+            }
+            return;
+        }
+        const pair = /^\s*((?:[\w-]+|"[^"]*"|'[^']*')(?:\s*\.\s*(?:[\w-]+|"[^"]*"|'[^']*'))*)\s*=\s*/d.exec(line);
+        if (!pair) return;
+        const path = [...table, ...pair[1].split('.').map((part) => unquoteKey(part.trim()))];
+        const valueStart = pair.indices[0][1];
+        if (line[valueStart] === '"' || line[valueStart] === "'") {
+            const quoted = readQuotedValue(line, valueStart);
+            if (quoted) onValue(path, quoted.value, lineStart + quoted.start, lineStart + quoted.end);
+        } else if (line[valueStart] === '{') {
+            const inline = /([\w-]+)\s*=\s*(["'])/g;
+            inline.lastIndex = valueStart;
+            let entry;
+            while ((entry = inline.exec(line)) !== null) {
+                const quoted = readQuotedValue(line, inline.lastIndex - 1);
+                if (!quoted) break;
+                onValue([...path, entry[1]], quoted.value, lineStart + quoted.start, lineStart + quoted.end);
+                inline.lastIndex = quoted.end + 1;
+            }
+        }
+    });
+}
+
+function scanYamlValues(text, onValue) {
+    const stack = [];
+    forEachSourceLine(text, (line, lineStart) => {
+        const pair = /^(\s*)([\w.-]+|"[^"]*"|'[^']*')\s*:(?:\s+|$)(.*)$/d.exec(line);
+        if (!pair) return;
+        const indent = pair[1].length;
+        while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+        const key = unquoteKey(pair[2]);
+        const rest = pair[3];
+        const valueStart = pair.indices[3][0];
+        if (!rest.trim() || rest.startsWith('#')) {
+            stack.push({ indent, key });
+            return;
+        }
+        const path = [...stack.map((entry) => entry.key), key];
+        if (rest[0] === '"' || rest[0] === "'") {
+            const quoted = readQuotedValue(line, valueStart);
+            if (quoted) onValue(path, quoted.value, lineStart + quoted.start, lineStart + quoted.end);
+        } else if (rest[0] !== '{' && rest[0] !== '[') {
+            const value = rest.replace(/\s+#.*$/, '').trimEnd();
+            onValue(path, value, lineStart + valueStart, lineStart + valueStart + value.length);
+        }
+    });
+}
+
+window.parseJsonc = parseJsonc;
+window.jsoncGet = jsoncGet;
+window.parseXmlSource = parseXmlSource;
+window.escapeXml = escapeXml;
+window.xmlElementText = xmlElementText;
+window.readPlist = readPlist;
+window.plistDictGet = plistDictGet;
+window.maskSourceComments = maskSourceComments;
+window.parseCssDeclarations = parseCssDeclarations;
+window.scanTomlValues = scanTomlValues;
+window.scanYamlValues = scanYamlValues;
@@ -0,0 +1,157 @@
+/** Goat Theme Editor - Template Export
+ * @file GoatThemeEditorTemplate.js
+ * @description Renders a user-supplied mustache-style template from the current
+ * palette and theme colors. Placeholders take the form
+ * `{{name}}`, `{{name-notation}}` / `{{name.notation}}` and may be followed by
+ * filters, e.g. `{{bg | darken 10}}`.
+ * @license MIT
+ * @author Chase McGoat
+ */
+
+// Notations reuse formatColorForOutput by describing the output as if it had
+// been read from a value of that shape.
+const templateNotations = {
+    hex: { inputFormat: 'hex', originalPrefix: '' },
+    hash: { inputFormat: 'hex', originalPrefix: '#' },
+    '0x': { inputFormat: 'hex', originalPrefix: '0x' },
+    rgb: { inputFormat: 'rgb', originalPrefix: '', originalUsesCommas: true },
+    rgba: { inputFormat: 'rgb', originalPrefix: 'rgba', originalUsesCommas: true, originalHadExplicitAlpha: true },
+    hsl: { inputFormat: 'hsl', originalPrefix: '', originalUsesCommas: true },
+    hsla: { inputFormat: 'hsl', originalPrefix: 'hsla', originalUsesCommas: true, originalHadExplicitAlpha: true },
+    hwb: { inputFormat: 'hwb' },
+    lab: { inputFormat: 'lab' },
+    lch: { inputFormat: 'lch' },
+    oklab: { inputFormat: 'oklab' },
+    oklch: { inputFormat: 'oklch' },
+    p3: { inputFormat: 'color', originalColorSpace: 'display-p3' }
+};
+
+// base16 builder component variables: `{{base08-rgb-r}}`, `{{base08-hex-bgr}}`, ...
+const templateComponents = {
+    'hex-r': (rgb) => toHexByte(rgb.r),
+    'hex-g': (rgb) => toHexByte(rgb.g),
+    'hex-b': (rgb) => toHexByte(rgb.b),
+    'hex-bgr': (rgb) => `${toHexByte(rgb.b)}${toHexByte(rgb.g)}${toHexByte(rgb.r)}`,
+    'rgb-r': (rgb) => String(Math.round(rgb.r)),
+    'rgb-g': (rgb) => String(Math.round(rgb.g)),
+    'rgb-b': (rgb) => String(Math.round(rgb.b)),
+    'dec-r': (rgb) => String(Number((rgb.r / 255).toFixed(4))),
+    'dec-g': (rgb) => String(Number((rgb.g / 255).toFixed(4))),
+    'dec-b': (rgb) => String(Number((rgb.b / 255).toFixed(4)))
+};
+
+const templateFilters = {
+    lighten: (c, amount) => c.lighten(amount / 100),
+    darken: (c, amount) => c.darken(amount / 100),
+    saturate: (c, amount) => c.saturate(amount / 100),
+    desaturate: (c, amount) => c.desaturate(amount / 100),
+    rotate: (c, degrees) => c.rotate(degrees),
+    alpha: (c, value) => c.alpha(value > 1 ? value / 100 : value),
+    grayscale: (c) => c.grayscale(),
+    invert: (c) => c.invert()
+};
+
+// Filters with no sensible default; a placeholder using them without an argument is unresolved.
+const templateFiltersNeedingArgument = new Set(['alpha']);
+
+function getTemplateColors(gamutMethod) {
+    const colors = new Map();
+    const add = (name, instance) => {
+        if (name && !colors.has(name)) colors.set(name, instance);
+    };
+    appState.palette.forEach((c) => {
+        add(c.name, colordx(`#${c.hex}`));
+    });
+    appState.themeItems.forEach((item) => {
+        if (item.isColor && item.colorInfo?.instance) add(item.name, toSrgbColor(item.colorInfo, gamutMethod));
+    });
+    return colors;
+}
+
+function findTemplateColor(colors, name) {
+    if (colors.has(name)) return colors.get(name);
+    const lowerName = name.toLowerCase();
+    for (const [key, instance] of colors) {
+        if (key.toLowerCase() === lowerName) return instance;
+    }
+    return null;
+}
+
+// Tries the whole expression as a color name first, since names such as
+// `editor.background` or `ansi-red` can themselves contain the separators.
+function splitTemplateReference(colors, reference) {
+    const color = findTemplateColor(colors, reference);
+    if (color) return { color, notation: null };
+    const match = reference.match(/^(.+?)[-.]((?:hex|rgb|dec)-(?:r|g|b|bgr)|[\w]+)$/);
+    if (!match || !(match[2] in templateNotations || match[2] in templateComponents)) return null;
+    const base = findTemplateColor(colors, match[1]);
+    return base ? { color: base, notation: match[2] } : null;
+}
+
+function renderTemplateColor(color, notation) {
+    if (notation in templateComponents) return templateComponents[notation](color.toRgb());
+    const shape = templateNotations[notation] || templateNotations.hash;
+    return formatColorForOutput({ ...shape, instance: color, originalString: '' });
+}
+
+function renderTemplatePlaceholder(colors, expression, metadata) {
+    const [reference, ...filterParts] = expression.split('|').map((part) => part.trim());
+    if (reference in metadata && filterParts.length === 0) return metadata[reference];
+    const resolved = splitTemplateReference(colors, reference);
+    if (!resolved) return null;
+
+    let color = resolved.color;
+    for (const part of filterParts) {
+        const [filterName, arg] = part.split(/\s+/);
+        const filter = templateFilters[filterName];
+        const amount = arg === undefined ? 0 : parseFloat(arg);
+        if (!filter || Number.isNaN(amount) || (arg === undefined && templateFiltersNeedingArgument.has(filterName)))
+            return null;
+        color = filter(color, amount);
+    }
+    return renderTemplateColor(color, resolved.notation);
+}
+
+/**
+ * Renders the template from the current palette and theme colors.
+ * @param {string} gamutMethod How colors outside sRGB are brought in ('chroma' or 'clip').
+ * @returns {{output: string, unresolved: string[]}} Unresolved placeholders are left as written.
+ */
+function renderTemplate(template, gamutMethod = 'chroma') {
+    const colors = getTemplateColors(gamutMethod);
+    const schemeName = appState.originalThemeFileName;
+    const metadata = {
+        'scheme-name': schemeName,
+        'scheme-slug': schemeName.toLowerCase().replace(/[^a-z0-9]+/g, '-')
+    };
+    const unresolved = new Set();
+    const output = template.replace(/\{\{\{?\s*([^{}]+?)\s*\}?\}\}/g, (placeholder, expression) => {
+        const value = renderTemplatePlaceholder(colors, expression, metadata);
+        if (value === null) {
+            unresolved.add(placeholder);
+            return placeholder;
+        }
+        return value;
+    });
+    return { output, unresolved: [...unresolved] };
+}
+
+function exportTemplate(template, templateFileName, gamutMethod) {
+    const { output, unresolved } = renderTemplate(template, gamutMethod);
+    if (
+        unresolved.length > 0 &&
+        !confirm(
+            `${unresolved.length} placeholder(s) could not be resolved and were left as written:\n` +
+                `${unresolved.slice(0, 20).join('\n')}${unresolved.length > 20 ? '\n…' : ''}\n\nExport anyway?`
+        )
+    ) {
+        return;
+    }
+    const outputName = templateFileName.replace(/\.(?:mustache|tpl|template|hbs)$/i, '');
+    const dot = outputName.lastIndexOf('.');
+    const ext = dot > 0 ? outputName.substring(dot) : '.txt';
+    downloadFile(output, 'text/plain;charset=utf-8', ext);
+}
+
+window.renderTemplate = renderTemplate;
+window.exportTemplate = exportTemplate;
@@ -0,0 +1,259 @@
+/** Goat Theme Editor - Terminal Themes
+ * @file GoatThemeEditorTerminal.js
+ * @description Readers for terminal color schemes (iTerm2, Windows Terminal,
+ * Alacritty, kitty and Xresources). Every format is mapped onto shared slot
+ * names such as `ansi.bright.red` so schemes read the same whatever their origin.
+ * @license MIT
+ * @author Chase McGoat
+ */
+
+const ansiColorNames = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+// Bare numbers such as `scrollback_lines 2000` would otherwise read as short hex colors.
+function isTerminalColorValue(key, value) {
+    return value.startsWith('#') || /color|foreground|background|cursor/i.test(key);
+}
+
+function ansiSlotName(index) {
+    if (!(index >= 0 && index < 16)) return null;
+    return `ansi.${index < 8 ? 'normal' : 'bright'}.${ansiColorNames[index % 8]}`;
+}
+
+// --- iTerm2 (.itermcolors) ---
+
+const itermKeyNames = {
+    'Background Color': 'background',
+    'Foreground Color': 'foreground',
+    'Cursor Color': 'cursor',
+    'Cursor Text Color': 'cursor.text',
+    'Selection Color': 'selection.background',
+    'Selected Text Color': 'selection.foreground',
+    'Bold Color': 'bold',
+    'Link Color': 'link',
+    'Badge Color': 'badge',
+    'Cursor Guide Color': 'cursor.guide'
+};
+
+function itermSlotName(key) {
+    const variant = key.match(/^(.*) \((Light|Dark)\)$/);
+    const base = variant ? variant[1] : key;
+    const ansi = base.match(/^Ansi (\d+) Color$/);
+    const name = ansi ? ansiSlotName(Number(ansi[1])) || `ansi.${ansi[1]}` : itermKeyNames[base] || base;
+    return variant ? `${name} (${variant[2].toLowerCase()})` : name;
+}
+
+function isItermColors(plist) {
+    return (
+        plist?.type === 'dict' &&
+        plist.entries.some(({ key, value }) => /^Ansi \d+ Color/.test(key) && plistDictGet(value, 'Red Component'))
+    );
+}
+
+function parseItermColors(plist) {
+    const items = [];
+    plist.entries.forEach(({ key, value }) => {
+        const components = {
+            r: plistDictGet(value, 'Red Component'),
+            g: plistDictGet(value, 'Green Component'),
+            b: plistDictGet(value, 'Blue Component'),
+            a: plistDictGet(value, 'Alpha Component')
+        };
+        if (!components.r || !components.g || !components.b) return;
+        const channels = [components.r, components.g, components.b].map((node) => parseFloat(node.value) * 255);
+        if (channels.some(Number.isNaN)) return;
+        const alpha = components.a ? toHexByte(parseFloat(components.a.value) * 255) : '';
+        const parsedColor = parseColorString(`#${channels.map(toHexByte).join('')}${alpha}`);
+        if (parsedColor) {
+            pushThemeItem(items, itermSlotName(key), parsedColor, null, { sourceComponents: components });
+        }
+    });
+    return { items, format: 'itermcolors' };
+}
+
+function itermComponentEdits(item) {
+    const { r, g, b, alpha } = item.colorInfo.instance.toRgb();
+    const values = { r: r / 255, g: g / 255, b: b / 255, a: alpha };
+    const edits = Object.entries(item.sourceComponents)
+        .filter(([, node]) => node && node.start !== null)
+        .map(([channel, node]) => ({ start: node.start, end: node.end, text: String(values[channel]) }));
+    if (!item.sourceComponents.a && alpha !== 1) edits.push(itermAlphaInsertion(item.sourceComponents.b, alpha));
+    return edits;
+}
+
+// Entries without an Alpha Component get one right after the closing </real> of the blue
+// component, indented like it, so an alpha set in the editor is not dropped on export.
+function itermAlphaInsertion(blue, alpha) {
+    const source = appState.themeSource;
+    const at = source.indexOf('>', blue.end) + 1;
+    const lineStart = source.lastIndexOf('\n', blue.start) + 1;
+    const indent = source.slice(lineStart).match(/^[ \t]*/)[0];
+    const newline = source[lineStart - 2] === '\r' ? '\r\n' : '\n';
+    return {
+        start: at,
+        end: at,
+        text: `${newline}${indent}<key>Alpha Component</key>${newline}${indent}<real>${alpha}</real>`
+    };
+}
+
+// --- Windows Terminal (settings.json "schemes" or a single scheme object) ---
+
+const windowsTerminalKeyNames = {
+    cursorColor: 'cursor',
+    selectionBackground: 'selection.background'
+};
+
+function windowsTerminalSlotName(key) {
+    const match = key.match(/^(bright)?(black|red|green|yellow|blue|purple|cyan|white)$/i);
+    if (match) {
+        const color = match[2].toLowerCase() === 'purple' ? 'magenta' : match[2].toLowerCase();
+        return `ansi.${match[1] ? 'bright' : 'normal'}.${color}`;
+    }
+    return windowsTerminalKeyNames[key] || key;
+}
+
+function getWindowsTerminalSchemes(root) {
+    const isScheme = (node) => node?.type === 'object' && jsoncGet(node, 'brightBlack') && jsoncGet(node, 'background');
+    if (isScheme(root)) return [root];
+    const list = root.type === 'array' ? root : jsoncGet(root, 'schemes');
+    return list?.type === 'array' ? list.items.filter(isScheme) : [];
+}
+
+function isWindowsTerminalTheme(root) {
+    return getWindowsTerminalSchemes(root).length > 0;
+}
+
+function parseWindowsTerminalTheme(root) {
+    const items = [];
+    getWindowsTerminalSchemes(root).forEach((scheme) => {
+        const group = jsoncGet(scheme, 'name')?.value;
+        scheme.properties.forEach(({ key, value }) => {
+            if (key === 'name' || value.type !== 'string') return;
+            const parsedColor = parseColorString(value.value);
+            if (parsedColor) {
+                pushThemeItem(items, windowsTerminalSlotName(key), parsedColor, [value.start, value.end], { group });
+            }
+        });
+    });
+    return { items, format: 'json', dialect: 'windows-terminal' };
+}
+
+// --- Alacritty (TOML, or YAML before 0.13) ---
+
+function alacrittySlotName(path) {
+    if (path.length === 2) {
+        const [table, key] = path;
+        if (table === 'primary' && (key === 'background' || key === 'foreground')) return key;
+        if ((table === 'normal' || table === 'bright' || table === 'dim') && ansiColorNames.includes(key)) {
+            return `ansi.${table}.${key}`;
+        }
+        if (table === 'cursor') return key === 'cursor' ? 'cursor' : `cursor.${key}`;
+        if (table === 'selection') return key === 'text' ? 'selection.foreground' : `selection.${key}`;
+    }
+    return path.join('.');
+}
+
+function parseAlacrittyTheme(text, scanValues, format) {
+    const items = [];
+    scanValues(text, (path, value, start, end) => {
+        if (path[0] !== 'colors' || path.length < 2) return;
+        const parsedColor = parseColorString(value);
+        if (parsedColor) pushThemeItem(items, alacrittySlotName(path.slice(1)), parsedColor, [start, end]);
+    });
+    return { items, format };
+}
+
+// --- kitty ---
+
+const kittyKeyNames = {
+    cursor_text_color: 'cursor.text',
+    selection_foreground: 'selection.foreground',
+    selection_background: 'selection.background'
+};
+
+function parseKittyTheme(text) {
+    const items = [];
+    const re = /^[ \t]*([a-z]\w*)[ \t]+(\S+)[ \t]*$/dgm;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        const key = match[1];
+        const parsedColor = isTerminalColorValue(key, match[2]) && parseColorString(match[2]);
+        if (!parsedColor) continue;
+        const ansi = key.match(/^color(\d+)$/);
+        const name = (ansi && ansiSlotName(Number(ansi[1]))) || kittyKeyNames[key] || key;
+        pushThemeItem(items, name, parsedColor, match.indices[2]);
+    }
+    return { items, format: 'kitty' };
+}
+
+// --- Xresources ---
+
+const xresourcesKeyNames = {
+    cursorColor: 'cursor',
+    highlightColor: 'selection.background',
+    highlightTextColor: 'selection.foreground',
+    colorBD: 'bold',
+    colorUL: 'underline'
+};
+
+function parseXresourcesTheme(text) {
+    const items = [];
+    const defineRe = /^[ \t]*#define[ \t]+(\w+)[ \t]+(\S+)[ \t]*$/dgm;
+    let match;
+    while ((match = defineRe.exec(text)) !== null) {
+        const parsedColor = parseColorString(match[2]);
+        if (parsedColor) pushThemeItem(items, match[1], parsedColor, match.indices[2], { group: '#define' });
+    }
+
+    const resourceRe = /^[ \t]*((?:[\w-]*[.*?])*)([\w-]+)[ \t]*:[ \t]*(\S(?:.*\S)?)[ \t]*$/dgm;
+    while ((match = resourceRe.exec(text)) !== null) {
+        const key = match[2];
+        if (!isTerminalColorValue(key, match[3])) continue;
+        const parsedColor = parseColorString(match[3]);
+        const reference = !parsedColor && parseColorReference(match[3], 'xresources');
+        if (!parsedColor && !reference) continue;
+        const ansi = key.match(/^color(\d+)$/);
+        const name = (ansi && ansiSlotName(Number(ansi[1]))) || xresourcesKeyNames[key] || key;
+        const group = match[1].replace(/[.*?]+$/, '') || undefined;
+        if (parsedColor) {
+            pushThemeItem(items, name, parsedColor, match.indices[3], { group });
+        } else {
+            pushReferenceItem(items, name, reference, match.indices[3], { group });
+        }
+    }
+    return { items: resolveThemeReferences(items), format: 'xresources' };
+}
+
+const nonTerminalExtensions = /\.(?:css|scss|less|json|xml|plist|tmtheme|icls|itermcolors)$/;
+
+// Plain-text terminal formats carry no reliable marker, so the file name is
+// consulted first and the content sniffed only when it gives no answer.
+function parseTerminalTextTheme(text, fileName = '') {
+    const lowerName = fileName.toLowerCase();
+    const trimmed = text.trim();
+    if (nonTerminalExtensions.test(lowerName)) return null;
+    let result = null;
+    if (lowerName.endsWith('.toml') || /^\s*\[\[?colors[.\]]/m.test(text)) {
+        result = parseAlacrittyTheme(text, scanTomlValues, 'alacritty-toml');
+    } else if (/\.ya?ml$/.test(lowerName) || /^colors:[ \t]*(?:#.*)?$/m.test(text)) {
+        result = parseAlacrittyTheme(text, scanYamlValues, 'alacritty-yaml');
+    } else if (/x(?:resources|defaults)/.test(lowerName)) {
+        result = parseXresourcesTheme(text);
+    } else if (lowerName.includes('kitty')) {
+        result = parseKittyTheme(text);
+    } else if (/^[{[<]/.test(trimmed) || /\{[^{}]*\}/.test(text)) {
+        // Stylesheets and structured files; `.background:hover {` is not a resource line.
+        return null;
+    } else if (/^[ \t]*[\w?-]*[.*][\w.*?-]*(?:color\d+|foreground|background)[ \t]*:/m.test(text)) {
+        result = parseXresourcesTheme(text);
+    } else if (/^[ \t]*(?:foreground|background|color\d+)[ \t]+#?[0-9a-f]{3,8}[ \t]*$/im.test(text)) {
+        result = parseKittyTheme(text);
+    }
+    return result && result.items.length > 0 ? result : null;
+}
+
+window.isItermColors = isItermColors;
+window.parseItermColors = parseItermColors;
+window.itermComponentEdits = itermComponentEdits;
+window.isWindowsTerminalTheme = isWindowsTerminalTheme;
+window.parseWindowsTerminalTheme = parseWindowsTerminalTheme;
+window.parseTerminalTextTheme = parseTerminalTextTheme;
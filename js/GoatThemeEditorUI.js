@@ -24,11 +24,18 @@ function updateButtonStates() {
     }
 
     const hasColorItems = appState.themeItems.some((it) => it.isColor);
-    exportBtn.disabled = !(appState.themeFileDoc || appState.themeFileJson) || !hasColorItems;
+    exportBtn.disabled = appState.themeSource === null || !hasColorItems;
+    const convertBtn = document.getElementById('convertBtn');
+    if (convertBtn) convertBtn.disabled = !hasColorItems;
+    const revertAllBtn = document.getElementById('revertAllBtn');
+    if (revertAllBtn) revertAllBtn.disabled = !appState.themeItems.some(isItemModified);
     bulkAssignBtn.disabled = !(appState.selectedPaletteColor && appState.filteredThemeItems.some((it) => it.isColor));
 }
 
 function renderPalette() {
+    const exportPaletteBtn = document.getElementById('exportPaletteBtn');
+    if (exportPaletteBtn) exportPaletteBtn.disabled = appState.palette.length === 0;
+
     const div = document.getElementById('paletteColors');
     if (!div) {
         return;
@@ -66,7 +73,7 @@ function renderPalette() {
 
         const d = document.createElement('div');
         d.className = `palette-color${appState.selectedPaletteColor && appState.selectedPaletteColor.hex === colorHexNoHash ? ' selected' : ''}`;
-        d.title = `${c.name || 'Color'} #${colorHexNoHash}`;
+        d.title = `${c.group ? `${c.group} / ` : ''}${c.name || 'Color'} #${colorHexNoHash}`;
         d.style.background = `#${colorHexNoHash}`;
         d.draggable = true;
         d.ondragstart = (e) => {
@@ -115,37 +122,35 @@ function renderPalette() {
     addBtn.className = 'palette-color palette-add-btn';
     addBtn.title = 'Add color';
     addBtn.textContent = '+';
-    const colorInput = document.createElement('input');
-    colorInput.type = 'color';
-    colorInput.style.position = 'absolute';
-    colorInput.style.opacity = '0';
-    colorInput.style.width = '0';
-    colorInput.style.height = '0';
-    colorInput.onchange = function () {
-        const hex = this.value.substring(1).toUpperCase();
-        const isDuplicate = appState.palette.some((p) => p.hex === hex);
-        if (!isDuplicate) {
-            addPaletteColor(this.value, hex);
-            renderPalette();
-        }
-        this.value = '#000000';
-    };
-    addBtn.onclick = () => colorInput.click();
+    addBtn.onclick = () =>
+        openColorPicker(addBtn, '#000000', {
+            alpha: false,
+            onChange: (value) => {
+                const hex = value.substring(1).toUpperCase();
+                const isDuplicate = appState.palette.some((p) => p.hex === hex);
+                if (!isDuplicate) {
+                    addPaletteColor(value, hex);
+                    renderPalette();
+                    commitHistory(`Add #${hex} to palette`);
+                }
+            }
+        });
     addWrapper.appendChild(addBtn);
-    addWrapper.appendChild(colorInput);
     div.appendChild(addWrapper);
 }
 
+function getItemDisplayValue(item) {
+    return item.reference ? item.reference.raw : item.colorInfo.originalString;
+}
+
 function updateThemeItemRow(item, row) {
     if (!row) return;
 
+    const displayColor = getDisplayColor(item.colorInfo);
     const swatchDiv = row.querySelector('.color-sample');
     if (swatchDiv) {
         swatchDiv.style.backgroundColor = `#${item.currentColorHex}`;
-        const colorInput = swatchDiv.querySelector('input[type="color"]');
-        if (colorInput) {
-            colorInput.value = `#${item.currentColorHex}`;
-        }
+        swatchDiv.style.backgroundColor = displayColor;
     }
 
     const valueInput = row.querySelector('.color-value-input');
@@ -153,12 +158,33 @@ function updateThemeItemRow(item, row) {
     const fullHex = `#${item.currentColorHex}`;
 
     if (valueInput) {
-        valueInput.value = item.colorInfo.originalString;
+        valueInput.value = getItemDisplayValue(item);
         valueInput.style.color = getContrastingBackground(fullHex);
         valueInput.style.backgroundColor = fullHex;
+        valueInput.style.backgroundColor = displayColor;
     }
     if (sampleText) {
         sampleText.style.color = fullHex;
+        sampleText.style.color = displayColor;
+    }
+
+    const gamutBadge = row.querySelector('.gamut-badge');
+    if (gamutBadge) gamutBadge.hidden = !item.colorInfo?.rawRgb;
+
+    const modified = isItemModified(item);
+    row.classList.toggle('modified', modified);
+    const originalSwatch = row.querySelector('.color-sample-original');
+    if (originalSwatch) {
+        originalSwatch.hidden = !modified;
+        if (modified) {
+            originalSwatch.style.backgroundColor = getDisplayColor(item.original.colorInfo);
+            originalSwatch.title = `Original: ${getItemOriginalValue(item)}`;
+        }
+    }
+    const revertBtn = row.querySelector('.revert-btn');
+    if (revertBtn) {
+        revertBtn.hidden = !modified;
+        if (modified) revertBtn.title = `Revert to ${getItemOriginalValue(item)}`;
     }
 }
 
@@ -201,31 +227,11 @@ function createBackgroundPicker(themeColorsDiv) {
     bgInput.onkeydown = function (e) {
         if (e.key === 'Enter') applyBg(this.value);
     };
-    bgInput.onclick = (e) => {
-        const picker = document.createElement('input');
-        picker.type = 'color';
-        picker.style.position = 'fixed';
-        picker.style.opacity = '0';
-        picker.style.width = '1px';
-        picker.style.height = '1px';
-        picker.style.pointerEvents = 'none';
-        const safeX = Math.max(20, Math.min(e.clientX - 150, window.innerWidth - 400));
-        const safeY = Math.max(20, Math.min(e.clientY - 100, window.innerHeight - 300));
-        picker.style.left = `${safeX}px`;
-        picker.style.top = `${safeY}px`;
-        picker.value = bgInput.value || '#1e1e1e';
-
-        function cleanup() {
-            if (picker.parentNode) picker.remove();
-        }
-        picker.onchange = function () {
-            applyBg(this.value);
-            cleanup();
-        };
-        picker.addEventListener('blur', cleanup);
-        setTimeout(cleanup, 60000);
-        document.body.appendChild(picker);
-        picker.click();
+    bgInput.onclick = () => {
+        openColorPicker(bgInput, bgInput.value || appState.themeBgColor || '#1e1e1e', {
+            alpha: false,
+            onChange: applyBg
+        });
     };
 
     return bgInput;
@@ -276,9 +282,19 @@ function renderThemeItems() {
     themeColorsDiv.appendChild(header);
 
     // Data rows
+    const referenceIndex = buildReferenceIndex();
+    let currentGroup = null;
     appState.filteredThemeItems.forEach((item) => {
         if (!item.isColor) return;
 
+        if (item.group && item.group !== currentGroup) {
+            currentGroup = item.group;
+            const groupHeader = document.createElement('div');
+            groupHeader.className = 'color-group-header';
+            groupHeader.textContent = item.group;
+            themeColorsDiv.appendChild(groupHeader);
+        }
+
         const row = document.createElement('div');
         row.className = 'color-row';
         row.id = item.id;
@@ -292,6 +308,7 @@ function renderThemeItems() {
             if (/^[0-9A-F]{6}$/i.test(droppedHexNoHash)) {
                 updateItemColor(item, `#${droppedHexNoHash}`);
                 updateButtonStates();
+                commitHistory(`Drop #${droppedHexNoHash.toUpperCase()} on ${item.name}`);
             }
         };
 
@@ -299,20 +316,25 @@ function renderThemeItems() {
         swatchDiv.className = 'color-sample';
         swatchDiv.style.position = 'relative';
 
-        const colorInput = document.createElement('input');
-        colorInput.type = 'color';
-        colorInput.style.opacity = 0;
-        colorInput.style.position = 'absolute';
-        colorInput.style.left = '0';
-        colorInput.style.top = '0';
-        colorInput.style.width = '100%';
-        colorInput.style.height = '100%';
-        colorInput.style.cursor = 'pointer';
-        colorInput.oninput = (e) => {
-            updateItemColor(item, e.target.value);
+        swatchDiv.style.cursor = 'pointer';
+        swatchDiv.onclick = () => {
+            const before = item.colorInfo;
+            const color = item.colorInfo.instance.toHex();
+            // A reference only changes once the picker closes, so the link is confirmed once.
+            const label = `Pick color for ${item.name}`;
+            const options = item.reference
+                ? { onChange: (hex) => updateItemColor(item, hex) && commitHistory(label) }
+                : {
+                      onInput: (hex) => updateItemColor(item, hex),
+                      onChange: () => commitHistory(label),
+                      onCancel: () => restoreItemColor(item, before)
+                  };
+            openColorPicker(swatchDiv, color, options);
         };
-        swatchDiv.appendChild(colorInput);
-        swatchDiv.onclick = () => colorInput.click();
+        const originalSwatch = document.createElement('span');
+        originalSwatch.className = 'color-sample-original';
+        originalSwatch.hidden = true;
+        swatchDiv.appendChild(originalSwatch);
         row.appendChild(swatchDiv);
 
         let styleName = item.name;
@@ -327,14 +349,58 @@ function renderThemeItems() {
         styleNameSpan.className = 'style-name';
         styleNameSpan.textContent = styleName.trim();
         styleNameSpan.title = styleName.trim();
+        if (item.reference) {
+            const referenceLink = document.createElement('button');
+            referenceLink.type = 'button';
+            referenceLink.className = 'reference-target';
+            referenceLink.textContent = `→ ${item.reference.target}`;
+            referenceLink.title = `Points to ${item.reference.raw}`;
+            referenceLink.onclick = () => revealThemeItem(item.reference.target);
+            styleNameSpan.appendChild(referenceLink);
+        }
+        const dependentCount = referenceIndex.get(item.name)?.length || 0;
+        if (dependentCount > 0) {
+            const dependentsBtn = document.createElement('button');
+            dependentsBtn.type = 'button';
+            dependentsBtn.className = 'dependents-btn';
+            dependentsBtn.textContent = `${dependentCount} ↩`;
+            dependentsBtn.title = 'Show everything that depends on this color';
+            dependentsBtn.onclick = () => showDependents(item);
+            styleNameSpan.appendChild(dependentsBtn);
+        }
+        if (!item.reference) {
+            const gamutBadge = document.createElement('button');
+            gamutBadge.type = 'button';
+            gamutBadge.className = 'gamut-badge';
+            gamutBadge.textContent = '⚠ sRGB';
+            gamutBadge.title = 'Outside sRGB. Click to choose how to bring it into sRGB';
+            gamutBadge.onclick = async () => {
+                const method = await chooseGamutMapping([item], 'This replaces the stored value.');
+                if (method && mapItemToSrgb(item, method)) commitHistory(`Map ${item.name} into sRGB`);
+            };
+            styleNameSpan.appendChild(gamutBadge);
+        }
+        const revertBtn = document.createElement('button');
+        revertBtn.type = 'button';
+        revertBtn.className = 'revert-btn';
+        revertBtn.textContent = '↺';
+        revertBtn.hidden = true;
+        revertBtn.onclick = () => {
+            revertItem(item);
+            commitHistory(`Revert ${item.name}`);
+            if (appState.modifiedOnly) filterThemeItems();
+        };
+        styleNameSpan.appendChild(revertBtn);
         row.appendChild(styleNameSpan);
 
         const valueInput = document.createElement('input');
         valueInput.type = 'text';
         valueInput.className = 'color-value-input';
         valueInput.onchange = (e) => {
-            if (!updateItemColor(item, e.target.value)) {
-                e.target.value = item.colorInfo.originalString;
+            if (updateItemColor(item, e.target.value)) {
+                commitHistory(`Edit ${item.name}`);
+            } else {
+                e.target.value = getItemDisplayValue(item);
             }
         };
         row.appendChild(valueInput);
@@ -351,6 +417,224 @@ function renderThemeItems() {
     updateButtonStates();
 }
 
+function updateDependentsBanner() {
+    const banner = document.getElementById('dependentsBanner');
+    const label = document.getElementById('dependentsLabel');
+    if (!banner || !label) return;
+    const item = appState.dependentsOf;
+    banner.hidden = !item;
+    if (item) {
+        const count = appState.filteredThemeItems.length - 1;
+        label.textContent = `${count} item${count === 1 ? '' : 's'} depend on ${item.name}`;
+    }
+}
+
+function updateConversionUnmapped() {
+    const unmappedEl = document.getElementById('convertUnmapped');
+    if (!unmappedEl) return;
+    const unmapped = appState.conversionRows.filter((row) => row.key && !row.source).map((row) => row.key);
+    unmappedEl.textContent = unmapped.length ? `No source color for: ${unmapped.join(', ')}` : '';
+}
+
+function renderConversionRows() {
+    const container = document.getElementById('convertRows');
+    if (!container) return;
+    container.innerHTML = '';
+    const target = conversionTargets[appState.conversionTarget];
+    const items = getConvertibleItems();
+
+    appState.conversionRows.forEach((row) => {
+        const rowEl = document.createElement('div');
+        rowEl.className = 'convert-row';
+
+        if (target.keys) {
+            const keyEl = document.createElement('span');
+            keyEl.className = 'convert-key';
+            keyEl.textContent = row.key;
+            rowEl.appendChild(keyEl);
+        } else {
+            const keyInput = document.createElement('input');
+            keyInput.type = 'text';
+            keyInput.className = 'convert-key';
+            keyInput.value = row.key;
+            keyInput.placeholder = 'Leave empty to skip';
+            keyInput.oninput = () => {
+                row.key = keyInput.value.trim();
+                updateConversionUnmapped();
+            };
+            rowEl.appendChild(keyInput);
+        }
+
+        const select = document.createElement('select');
+        select.className = 'format-select';
+        select.appendChild(new Option('(unmapped)', ''));
+        items.forEach((item) => {
+            const label = item.group ? `${item.group} / ${item.name}` : item.name;
+            select.appendChild(new Option(label, item.name, false, item.name === row.source));
+        });
+        select.onchange = () => {
+            row.source = select.value;
+            swatch.style.background = row.source ? `#${items.find((it) => it.name === row.source).colorInfo.hex}` : '';
+            updateConversionUnmapped();
+        };
+
+        const swatch = document.createElement('span');
+        swatch.className = 'convert-swatch';
+        const sourceItem = items.find((it) => it.name === row.source);
+        if (sourceItem) swatch.style.background = `#${sourceItem.colorInfo.hex}`;
+
+        rowEl.appendChild(select);
+        rowEl.appendChild(swatch);
+        container.appendChild(rowEl);
+    });
+    updateConversionUnmapped();
+}
+
+function createChangeValue(colorInfo, value) {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'export-change-value';
+    const swatch = document.createElement('span');
+    swatch.className = 'convert-swatch';
+    swatch.style.background = getDisplayColor(colorInfo);
+    const text = document.createElement('span');
+    text.className = 'convert-key';
+    text.textContent = value;
+    text.title = value;
+    wrapper.append(swatch, text);
+    return wrapper;
+}
+
+/**
+ * @param {function(Object, boolean)} onToggle Called with the item and whether it is now included.
+ */
+function renderExportChanges(changes, onToggle) {
+    const container = document.getElementById('exportChanges');
+    if (!container) return;
+    container.innerHTML = '';
+    changes.forEach((item) => {
+        const row = document.createElement('label');
+        row.className = 'convert-row export-change';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.onchange = () => onToggle(item, checkbox.checked);
+
+        const name = document.createElement('span');
+        name.className = 'convert-key';
+        name.textContent = item.name;
+        name.title = item.name;
+
+        const before = item.original
+            ? createChangeValue(item.original.colorInfo, getItemOriginalValue(item))
+            : document.createElement('span');
+        const arrow = document.createElement('span');
+        arrow.textContent = '→';
+        row.append(checkbox, name, before, arrow, createChangeValue(item.colorInfo, item.colorInfo.originalString));
+        container.appendChild(row);
+    });
+}
+
+function renderExportDiff(diffText) {
+    const pre = document.getElementById('exportDiff');
+    if (!pre) return;
+    pre.innerHTML = '';
+    if (!diffText) return;
+    diffText.split('\n').forEach((line) => {
+        const span = document.createElement('span');
+        if (line.startsWith('@@')) span.className = 'diff-hunk';
+        else if (line.startsWith('+') && !line.startsWith('+++')) span.className = 'diff-add';
+        else if (line.startsWith('-') && !line.startsWith('---')) span.className = 'diff-remove';
+        span.textContent = `${line}\n`;
+        pre.appendChild(span);
+    });
+}
+
+/**
+ * Asks how items outside sRGB should be brought into sRGB.
+ * @param {string} reason Lead sentence explaining why sRGB is needed.
+ * @returns {Promise<string|null>} 'chroma' or 'clip', or null when cancelled.
+ */
+function chooseGamutMapping(items, reason) {
+    const outOfGamut = items.filter((item) => item.colorInfo?.rawRgb);
+    // Either method leaves sRGB colors untouched, so there is nothing to ask.
+    if (outOfGamut.length === 0) return Promise.resolve('clip');
+    const dialog = document.getElementById('gamutDialog');
+    const message = document.getElementById('gamutMessage');
+    if (!dialog || !message) return Promise.resolve(null);
+
+    const names = outOfGamut.map((item) => item.name);
+    message.textContent = `${reason} Outside sRGB: ${names.slice(0, 10).join(', ')}${names.length > 10 ? ', …' : ''}`;
+    dialog.returnValue = '';
+    return new Promise((resolve) => {
+        dialog.addEventListener('close', () => resolve(dialog.returnValue || null), { once: true });
+        dialog.showModal();
+    });
+}
+
+function renderHistoryPanel() {
+    const list = document.getElementById('historyList');
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) undoBtn.disabled = appState.historyIndex <= 0;
+    if (redoBtn) redoBtn.disabled = appState.historyIndex >= appState.history.length - 1;
+    if (!list) return;
+    list.innerHTML = '';
+    appState.history.forEach((entry, index) => {
+        const li = document.createElement('li');
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'history-entry';
+        if (index === appState.historyIndex) btn.classList.add('current');
+        if (index > appState.historyIndex) btn.classList.add('undone');
+        btn.textContent = entry.label;
+        btn.title = entry.label;
+        btn.onclick = () => jumpToHistory(index);
+        li.appendChild(btn);
+        list.appendChild(li);
+    });
+    list.querySelector('.current')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * @param {Object[]} sessions Saved sessions as listed by listSessions.
+ * @param {{currentId: string|null, onOpen: function(Object), onDelete: function(Object)}} handlers
+ */
+function renderSessionsList(sessions, { currentId, onOpen, onDelete }) {
+    const list = document.getElementById('sessionsList');
+    if (!list) return;
+    list.innerHTML = '';
+    sessions.forEach((session) => {
+        const li = document.createElement('li');
+        li.className = 'convert-row';
+
+        const name = document.createElement('span');
+        name.className = 'convert-key';
+        name.textContent = session.fileName;
+        name.title = session.fileName;
+
+        const details = document.createElement('span');
+        details.className = 'session-details';
+        const changes = `${session.changeCount} edit${session.changeCount === 1 ? '' : 's'}`;
+        details.textContent = `${new Date(session.updatedAt).toLocaleString()} · ${changes}`;
+
+        const openBtn = document.createElement('button');
+        openBtn.type = 'button';
+        openBtn.className = 'btn-secondary';
+        openBtn.textContent = session.id === currentId ? 'Reload' : 'Open';
+        openBtn.onclick = () => onOpen(session);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'btn-secondary';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.onclick = () => onDelete(session);
+
+        li.append(name, details, openBtn, deleteBtn);
+        list.appendChild(li);
+    });
+}
+
 function createResizeHandle(cssProp) {
     const handle = document.createElement('div');
     handle.className = 'resize-handle';
@@ -390,3 +674,10 @@ window.applyTheme = applyTheme;
 window.renderPalette = renderPalette;
 window.updateThemeItemRow = updateThemeItemRow;
 window.renderThemeItems = renderThemeItems;
+window.updateDependentsBanner = updateDependentsBanner;
+window.renderConversionRows = renderConversionRows;
+window.chooseGamutMapping = chooseGamutMapping;
+window.renderHistoryPanel = renderHistoryPanel;
+window.renderSessionsList = renderSessionsList;
+window.renderExportChanges = renderExportChanges;
+window.renderExportDiff = renderExportDiff;